@@ -0,0 +1,166 @@
+// Offline support for the field pages: registers the service worker and keeps a queue of writes
+// (supervisor remarks, spray executions) in localStorage while the server cannot be reached.
+// Queued items carry the row as the page last saw it (base); the server answers 409 { conflict }
+// when that row changed in the meantime, and the item waits here until someone keeps or discards it.
+(function () {
+  const QUEUE_KEY = 'lathyspray.syncQueue';
+  const RETRY_MS = 60000;
+  let flushing = false;
+
+  function escapeHtml(s){ return String(s ?? '').replace(/[&<>"']/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m])); }
+
+  function readQueue(){
+    try { return JSON.parse(localStorage.getItem(QUEUE_KEY)) || []; } catch (err) { return []; }
+  }
+  function writeQueue(queue){
+    localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+    renderBar();
+  }
+  function newClientId(){
+    return (crypto.randomUUID && crypto.randomUUID()) || `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+  }
+
+  async function post(url, body){
+    const res = await fetch(url, {
+      method:'POST', credentials:'same-origin',
+      headers:{'Content-Type':'application/json'}, body: JSON.stringify(body)
+    });
+    let data = {};
+    try { data = await res.json(); } catch (err) { /* non-JSON error page */ }
+    return { status: res.status, data };
+  }
+
+  // Try to send now; if the network is down (or the server is failing) keep it for later.
+  // Resolves to { sent, queued, status, data }.
+  async function submit(kind, url, body, label, key){
+    const item = { clientId: newClientId(), kind, url, body, label, key, queuedAt: new Date().toISOString(), state: 'pending' };
+    item.body.clientId = item.clientId;
+    if (navigator.onLine !== false) {
+      try {
+        const { status, data } = await post(url, item.body);
+        if (status < 500 && status !== 401) return { sent: true, queued: false, status, data };
+      } catch (err) { /* offline: fall through to the queue */ }
+    }
+    // A newer edit of the same thing (e.g. the remark on one row) replaces the queued one but keeps
+    // its base, so the conflict check still compares against what was first loaded
+    const queue = readQueue();
+    const prev = key ? queue.findIndex(q => q.key === key && q.state === 'pending') : -1;
+    if (prev >= 0) {
+      item.body.base = queue[prev].body.base;
+      if ('baseExecution' in queue[prev].body) item.body.baseExecution = queue[prev].body.baseExecution;
+      queue[prev] = item;
+    } else queue.push(item);
+    writeQueue(queue);
+    return { sent: false, queued: true };
+  }
+
+  // Oldest first; stops at the first network failure so order is kept
+  async function flush(){
+    if (flushing) return;
+    flushing = true;
+    try {
+      for (const item of readQueue().filter(q => q.state === 'pending')) {
+        let result;
+        try { result = await post(item.url, item.body); } catch (err) { break; }
+        if (result.status === 401) { setMessage('Log in again to sync queued changes'); break; }
+        if (result.status >= 500) break;
+        const queue = readQueue();
+        const idx = queue.findIndex(q => q.clientId === item.clientId);
+        if (idx < 0) continue;
+        if (result.data.success) queue.splice(idx, 1);
+        else Object.assign(queue[idx], {
+          state: result.data.conflict ? 'conflict' : 'error',
+          message: result.data.message || `HTTP ${result.status}`,
+          changes: result.data.changes || [],
+        });
+        writeQueue(queue);
+      }
+    } finally {
+      flushing = false;
+      renderBar();
+    }
+  }
+
+  function keepMine(clientId){
+    const queue = readQueue();
+    const item = queue.find(q => q.clientId === clientId);
+    if (!item) return;
+    Object.assign(item, { state: 'pending', message: '', changes: [] });
+    item.body.force = true;
+    writeQueue(queue);
+    flush();
+  }
+  function discard(clientId){
+    writeQueue(readQueue().filter(q => q.clientId !== clientId));
+  }
+  function retry(clientId){
+    const queue = readQueue();
+    const item = queue.find(q => q.clientId === clientId);
+    if (item) Object.assign(item, { state: 'pending', message: '' });
+    writeQueue(queue);
+    flush();
+  }
+
+  // ---- status bar ----
+  let message = '';
+  function setMessage(text){ message = text; renderBar(); }
+
+  function renderBar(){
+    let bar = document.getElementById('syncBar');
+    if (!bar) {
+      if (!document.body) return;
+      bar = document.createElement('div');
+      bar.id = 'syncBar';
+      bar.style.cssText = 'position:fixed; right:12px; bottom:12px; max-width:460px; z-index:50; background:#fff; border:1px solid #ccc; border-radius:10px; padding:8px 12px; font:13px Arial; box-shadow:0 2px 8px rgba(0,0,0,.15)';
+      document.body.appendChild(bar);
+    }
+    const queue = readQueue();
+    const offline = navigator.onLine === false;
+    if (!queue.length && !offline && !message) { bar.style.display = 'none'; return; }
+    bar.style.display = '';
+    const pending = queue.filter(q => q.state === 'pending').length;
+    const head = [
+      offline ? '<b style="color:#b00">Offline</b>' : '<b style="color:#138a36">Online</b>',
+      pending ? `${pending} change(s) waiting to sync` : '',
+      message ? escapeHtml(message) : '',
+    ].filter(Boolean).join(' — ');
+    const problems = queue.filter(q => q.state !== 'pending').map(q => `<div style="margin-top:6px; border-top:1px solid #eee; padding-top:6px">
+      <b>${q.state === 'conflict' ? 'Conflict' : 'Rejected'}:</b> ${escapeHtml(q.label)}<br>
+      <span style="color:#900">${escapeHtml(q.message)}</span>
+      ${q.changes && q.changes.length ? `<div style="color:#666">Changed on server: ${q.changes.map(c => escapeHtml(c.field)).join(', ')}</div>` : ''}
+      <div style="margin-top:4px">
+        ${q.state === 'conflict' ? `<button data-act="keep" data-id="${q.clientId}">Keep mine</button>` : `<button data-act="retry" data-id="${q.clientId}">Retry</button>`}
+        <button data-act="discard" data-id="${q.clientId}">Discard</button>
+      </div>
+    </div>`).join('');
+    bar.innerHTML = `<div>${head}${pending && !offline ? ' <button data-act="sync">Sync now</button>' : ''}</div>${problems}`;
+  }
+
+  document.addEventListener('click', (e) => {
+    const btn = e.target.closest('#syncBar button');
+    if (!btn) return;
+    const { act, id } = btn.dataset;
+    if (act === 'sync') flush();
+    if (act === 'keep') keepMine(id);
+    if (act === 'retry') retry(id);
+    if (act === 'discard' && confirm('Discard this change? It has not been saved on the server.')) discard(id);
+  });
+
+  // Drops cached pages / data (not the queue) on logout; warns when unsynced changes would be left behind
+  function beforeLogout(){
+    const pending = readQueue().length;
+    if (pending && !confirm(`${pending} change(s) have not synced yet and will stay on this device. Log out anyway?`)) return false;
+    if (navigator.serviceWorker && navigator.serviceWorker.controller) navigator.serviceWorker.controller.postMessage('clear');
+    return true;
+  }
+
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch(err => console.error('Service worker failed', err));
+  }
+  window.addEventListener('online', () => { message = ''; flush(); });
+  window.addEventListener('offline', renderBar);
+  document.addEventListener('DOMContentLoaded', () => { renderBar(); flush(); });
+  setInterval(() => { if (readQueue().some(q => q.state === 'pending')) flush(); }, RETRY_MS);
+
+  window.OfflineSync = { submit, flush, pending: () => readQueue(), beforeLogout };
+})();
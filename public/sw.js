@@ -0,0 +1,51 @@
+// Service worker for the field pages (supervisor.html, viewer.html).
+// Pages and program data are network-first: every good response is kept, so the last published
+// program is still there when a greenhouse has no signal. Writes are never cached; offline-sync.js
+// queues them in the page instead.
+const CACHE = "lathyspray-field-v1";
+const SHELL = ["/offline-sync.js", "/manifest.webmanifest", "/icons/icon-192.png", "/icons/icon-512.png", "/login.html"];
+const DATA = ["/agro", "/agro/search", "/agro/restricted-entry", "/agro/executions", "/weather/advice", "/operators", "/operators/settings"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((c) => c.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE);
+  try {
+    const res = await fetch(request);
+    // A redirect to the login page must not be stored as the page / data itself
+    if (res.ok && !res.redirected) cache.put(request, res.clone());
+    return res;
+  } catch (err) {
+    const hit = await cache.match(request);
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+async function cacheFirst(request) {
+  const hit = await caches.match(request);
+  return hit || fetch(request);
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+  if (request.mode === "navigate" || DATA.includes(url.pathname)) event.respondWith(networkFirst(request));
+  else if (SHELL.includes(url.pathname)) event.respondWith(cacheFirst(request));
+});
+
+// Sent by the pages on logout, so the next person on a shared tablet does not see cached data
+self.addEventListener("message", (event) => {
+  if (event.data === "clear") event.waitUntil(caches.delete(CACHE));
+});
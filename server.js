@@ -6,6 +6,13 @@ const path = require("path");
 const session = require("express-session");
 const multer = require("multer");
 const xlsx = require("xlsx");
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const nodemailer = require("nodemailer");
+const PDFDocument = require("pdfkit");
+const sharp = require("sharp");
+const exifr = require("exifr");
+const { createStorage } = require("./storage");
 
 const app = express();
 const cors = require("cors");
@@ -25,22 +32,118 @@ const PAYROLL_FILE = path.join(__dirname, "payroll.json");
 const AGRO_FILE = path.join(__dirname, "agronomist_data.json");
 const FARM_REPORT_FILE = path.join(__dirname, "farm_report.json");
 const LEGACY_PEST_DISEASE = path.join(__dirname, "pest_disease_data.json");
+const STOCK_LEDGER_FILE = path.join(__dirname, "stock_ledger.json");
+const STOCK_LEVELS_FILE = path.join(__dirname, "stock_levels.json");
+const CHEMICALS_FILE = path.join(__dirname, "chemicals.json");
+const SETTINGS_FILE = path.join(__dirname, "settings.json");
+const EXECUTIONS_FILE = path.join(__dirname, "spray_executions.json");
+const PROGRAMS_FILE = path.join(__dirname, "spray_programs.json");
+const AUDIT_FILE = path.join(__dirname, "audit_log.json");
+const SITES_FILE = path.join(__dirname, "sites.json");
+const SCOUTING_FILE = path.join(__dirname, "scouting.json");
+const THRESHOLDS_FILE = path.join(__dirname, "thresholds.json");
+const ALERTS_FILE = path.join(__dirname, "alerts.json");
+const WEATHER_FILE = path.join(__dirname, "weather_log.json");
+const API_TOKENS_FILE = path.join(__dirname, "api_tokens.json");
+const PHOTOS_FILE = path.join(__dirname, "photos.json");
+const OPERATORS_FILE = path.join(__dirname, "operators.json");
+const TANK_MIX_FILE = path.join(__dirname, "tank_mix.json");
+const CHEMICAL_PRICES_FILE = path.join(__dirname, "chemical_prices.json");
+// Uploaded images and their thumbnails (not under public/: served through /photos/:id with a login check)
+const PHOTOS_DIR = path.join(__dirname, "photos");
+const THUMBS_DIR = path.join(PHOTOS_DIR, "thumbs");
+
+// ---------- Storage ----------
+// Data files are still addressed by path, but live wherever the backend puts them:
+// SQLite by default (lathyspray.db), or the JSON files themselves with STORAGE=json. See storage.js.
+const storage = createStorage();
+const DATA_FILES = [
+  USERS_FILE, PAYROLL_FILE, AGRO_FILE, FARM_REPORT_FILE, LEGACY_PEST_DISEASE, STOCK_LEDGER_FILE,
+  STOCK_LEVELS_FILE, CHEMICALS_FILE, SETTINGS_FILE, EXECUTIONS_FILE, PROGRAMS_FILE, AUDIT_FILE, SITES_FILE,
+  SCOUTING_FILE, THRESHOLDS_FILE, ALERTS_FILE, WEATHER_FILE, API_TOKENS_FILE, PHOTOS_FILE, OPERATORS_FILE, TANK_MIX_FILE,
+  CHEMICAL_PRICES_FILE,
+];
 
 // ---------- Helpers ----------
 function ensureFile(filePath, initial = "[]") {
-  if (!fs.existsSync(filePath)) fs.writeFileSync(filePath, initial, "utf8");
+  storage.ensure(filePath, JSON.parse(initial));
 }
+// Unreadable data now throws instead of returning the fallback (which the next write would save)
 function readJSON(filePath, fallback = []) {
-  ensureFile(filePath);
-  try {
-    const txt = fs.readFileSync(filePath, "utf8");
-    return txt.trim() ? JSON.parse(txt) : fallback;
-  } catch {
-    return fallback;
-  }
+  return storage.read(filePath, fallback);
 }
 function writeJSON(filePath, data) {
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2), "utf8");
+  storage.write(filePath, data);
+}
+// Next id for a collection; ids are never reused, even after a delete
+function allocateId(filePath) {
+  return storage.allocateId(filePath);
+}
+
+// Tunable rules, stored as one object per feature in settings.json
+const DEFAULT_SETTINGS = {
+  rotation: { maxConsecutive: 2 },
+  accounts: { maxFailedLogins: 5, lockoutMinutes: 15, resetCodeHours: 24 },
+  // Water volume per hectare and tank size by spray method; the first key found in a row's
+  // method / mode text wins, anything else uses the top-level defaults
+  dosage: {
+    waterLPerHa: 1000,
+    tankL: 20,
+    methods: {
+      knapsack: { waterLPerHa: 1000, tankL: 20 },
+      motor: { waterLPerHa: 1000, tankL: 200 },
+      boom: { waterLPerHa: 800, tankL: 400 },
+      mist: { waterLPerHa: 300, tankL: 200 },
+      fog: { waterLPerHa: 50, tankL: 50 },
+      drench: { waterLPerHa: 5000, tankL: 1000 },
+    },
+  },
+  // Threshold alert e-mail digest. digestHours: 0 turns the schedule off (send-now still works).
+  // Point smtp at a local catcher (e.g. host localhost, port 1025) when testing.
+  alerts: {
+    digestHours: 24,
+    recipients: "",
+    smtp: { host: "", port: 25, secure: false, user: "", pass: "", from: "lathyspray@localhost" },
+  },
+  // Spray-window rules checked against the weather log. A limit of 0 switches that rule off.
+  // readingHours: how far before a window a reading still counts for it.
+  weather: {
+    morningWindow: "06:00-10:00",
+    eveningWindow: "16:00-19:00",
+    maxWindKmh: 15,
+    rainWithinHours: 4,
+    rainMinMm: 0.5,
+    maxTempC: 30,
+    minHumidityPct: 0,
+    readingHours: 2,
+  },
+  // Operator exposure limits (hours handling chemicals; 0 switches a limit off), how early an
+  // expiring certificate is flagged, and the PPE checklist ticked on each completed spray
+  // requireOperator: a completed spray must name its operators and their hours; off, a record without
+  // them (e.g. queued offline before the register) is kept with a warning
+  exposure: {
+    requireOperator: false,
+    maxHoursPerDay: 4,
+    maxHoursPerWeek: 20,
+    certificationWarnDays: 30,
+    ppe: ["coverall", "gloves", "boots", "respirator", "goggles"],
+  },
+  // Spray cost reporting. Seasons run from seasonStartMonth (1 = calendar years).
+  costs: { currency: "KES", seasonStartMonth: 1 },
+};
+function getSettings() {
+  const stored = readJSON(SETTINGS_FILE, {});
+  const saved = stored && !Array.isArray(stored) ? stored : {};
+  const out = {};
+  for (const key of Object.keys(DEFAULT_SETTINGS)) out[key] = { ...DEFAULT_SETTINGS[key], ...(saved[key] || {}) };
+  return out;
+}
+function saveSettings(key, values) {
+  const stored = readJSON(SETTINGS_FILE, {});
+  const saved = stored && !Array.isArray(stored) ? stored : {};
+  saved[key] = { ...(saved[key] || {}), ...values };
+  writeJSON(SETTINGS_FILE, saved);
+  return getSettings()[key];
 }
 
 // Ensure farm_report entries have createdAt
@@ -56,6 +159,15 @@ function ensureCreatedAtForFarmReport() {
   if (changed) writeJSON(FARM_REPORT_FILE, rows);
 }
 
+// Day prefixes used by the weekly spray program columns (mon_chemical, mon_rate, ...)
+const DAYS = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+
+// "1.5", "1.5ml", "1,5 L" -> 1.5 ; anything unparseable -> 0
+function parseQuantity(v) {
+  const n = parseFloat(String(v ?? "").replace(",", ".").trim());
+  return isNaN(n) ? 0 : n;
+}
+
 // ---------- Core middleware ----------
 app.use(bodyParser.json({ limit: "10mb" }));
 app.use(
@@ -68,6 +180,35 @@ app.use(
 );
 app.use(express.static(PUBLIC_DIR));
 
+// Each write request runs in one storage transaction: everything it writes lands together,
+// and a 5xx response (or a thrown error) rolls all of it back.
+class RollbackRequest extends Error {}
+function inTransaction(req, res, next) {
+  if (req.method === "GET" || req.method === "HEAD") return next();
+  try {
+    storage.transaction(() => {
+      next();
+      if (res.statusCode >= 500) throw new RollbackRequest();
+    });
+  } catch (err) {
+    if (!(err instanceof RollbackRequest)) throw err;
+  }
+}
+app.use(inTransaction);
+
+// Role changes and deactivations take effect on the user's next request, not their next login
+app.use((req, res, next) => {
+  if (!req.session.user) return next();
+  const user = readJSON(USERS_FILE).find((u) => u.username === req.session.user.username);
+  if (!user || user.active === false) {
+    delete req.session.user;
+    return next();
+  }
+  req.session.user.role = user.role;
+  req.session.user.farms = assignedFarms(user);
+  next();
+});
+
 // ---------- Roles ----------
 const ROLES = {
   Viewer: "Viewer",
@@ -137,7 +278,131 @@ app.get(
   (req, res) => res.sendFile(path.join(PUBLIC_DIR, "farmreport.html"))
 );
 
+app.get(
+  "/chemicals.html",
+  requireAnyRolePage([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => res.sendFile(path.join(PUBLIC_DIR, "chemicals.html"))
+);
+
+app.get(
+  "/rotation.html",
+  requireAnyRolePage([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => res.sendFile(path.join(PUBLIC_DIR, "rotation.html"))
+);
+
+app.get(
+  "/programs.html",
+  requireAnyRolePage([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => res.sendFile(path.join(PUBLIC_DIR, "programs.html"))
+);
+
+app.get(
+  "/users.html",
+  requireAnyRolePage([ROLES.GeneralManager]),
+  (req, res) => res.sendFile(path.join(PUBLIC_DIR, "users.html"))
+);
+
+app.get(
+  "/sites.html",
+  requireAnyRolePage([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => res.sendFile(path.join(PUBLIC_DIR, "sites.html"))
+);
+
+app.get(
+  "/history.html",
+  requireAnyRolePage([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => res.sendFile(path.join(PUBLIC_DIR, "history.html"))
+);
+
+app.get(
+  "/scouting.html",
+  requireAnyRolePage([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => res.sendFile(path.join(PUBLIC_DIR, "scouting.html"))
+);
+
+app.get(
+  "/alerts.html",
+  requireAnyRolePage([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => res.sendFile(path.join(PUBLIC_DIR, "alerts.html"))
+);
+
+app.get(
+  "/efficacy.html",
+  requireAnyRolePage([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => res.sendFile(path.join(PUBLIC_DIR, "efficacy.html"))
+);
+
+app.get(
+  "/weather.html",
+  requireAnyRolePage([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => res.sendFile(path.join(PUBLIC_DIR, "weather.html"))
+);
+
+app.get(
+  "/tokens.html",
+  requireAnyRolePage([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => res.sendFile(path.join(PUBLIC_DIR, "tokens.html"))
+);
+
+app.get(
+  "/stock.html",
+  requireAnyRolePage([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => res.sendFile(path.join(PUBLIC_DIR, "stock.html"))
+);
+
+app.get(
+  "/tankmix.html",
+  requireAnyRolePage([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => res.sendFile(path.join(PUBLIC_DIR, "tankmix.html"))
+);
+
+app.get(
+  "/costs.html",
+  requireAnyRolePage([ROLES.GeneralManager]),
+  (req, res) => res.sendFile(path.join(PUBLIC_DIR, "costs.html"))
+);
+
+app.get(
+  "/operators.html",
+  requireAnyRolePage([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => res.sendFile(path.join(PUBLIC_DIR, "operators.html"))
+);
+
 // ---------- Auth APIs ----------
+// Users carry passwordHash (bcrypt). Accounts created before hashing still have a plaintext
+// `password`; it is checked once and replaced by a hash on the next successful login.
+const BCRYPT_ROUNDS = 10;
+
+// What the admin page may see of a user (never hashes or codes)
+function publicUser(u) {
+  return {
+    id: u.id,
+    username: u.username,
+    role: u.role,
+    payrollNumber: u.payrollNumber,
+    farms: Array.isArray(u.farms) ? u.farms : [],
+    active: u.active !== false,
+    createdAt: u.createdAt,
+    lastLoginAt: u.lastLoginAt || null,
+    failedLogins: u.failedLogins || 0,
+    lockedUntil: u.lockedUntil && new Date(u.lockedUntil) > new Date() ? u.lockedUntil : null,
+    resetPending: !!(u.resetCodeHash && new Date(u.resetCodeExpires) > new Date()),
+  };
+}
+
+function checkPassword(user, password) {
+  if (user.passwordHash) return bcrypt.compareSync(String(password || ""), user.passwordHash);
+  return user.password !== undefined && String(user.password) === String(password || "");
+}
+function setPassword(user, password) {
+  user.passwordHash = bcrypt.hashSync(String(password), BCRYPT_ROUNDS);
+  delete user.password;
+}
+
+function logAccountEvent(req, user, action, changes = []) {
+  appendAudit("account", [{ entityId: user ? user.id : null, username: user ? user.username : "", action, changes, snapshot: null }], req);
+}
+
 app.post("/register", (req, res) => {
   const { username, password, role, payrollNumber } = req.body || {};
   if (!username || !password || !role || !payrollNumber)
@@ -155,595 +420,5899 @@ app.post("/register", (req, res) => {
   if (!payrollRecord || payrollRecord.role !== role)
     return res.json({ success: false, message: "Payroll number mismatch" });
 
-  users.push({
-    id: users.length ? Math.max(...users.map((u) => u.id || 0)) + 1 : 1,
+  const user = {
+    id: allocateId(USERS_FILE),
     username,
-    password,
     role,
     payrollNumber,
+    active: true,
     createdAt: new Date().toISOString(),
-  });
+  };
+  setPassword(user, password);
+  users.push(user);
   writeJSON(USERS_FILE, users);
+  logAccountEvent(req, user, "register", [{ field: "role", before: null, after: role }]);
   res.json({ success: true });
 });
 
 app.post("/login", (req, res) => {
   const { username, password } = req.body || {};
   const users = readJSON(USERS_FILE);
-  const user = users.find((u) => u.username === username && u.password === password);
-  if (!user) return res.json({ success: false, message: "Invalid credentials" });
-  req.session.user = { username: user.username, role: user.role };
+  const user = users.find((u) => u.username === username);
+  if (!user) {
+    logAccountEvent(req, { id: null, username: String(username || "") }, "login_failed");
+    return res.json({ success: false, message: "Invalid credentials" });
+  }
+  if (user.active === false) {
+    logAccountEvent(req, user, "login_refused");
+    return res.status(403).json({ success: false, message: "This account has been deactivated" });
+  }
+  if (user.lockedUntil && new Date(user.lockedUntil) > new Date())
+    return res.status(423).json({ success: false, message: `Too many failed attempts; try again after ${new Date(user.lockedUntil).toLocaleTimeString("en-KE", { timeZone: "Africa/Nairobi" })}` });
+
+  if (!checkPassword(user, password)) {
+    const { maxFailedLogins, lockoutMinutes } = getSettings().accounts;
+    user.failedLogins = (user.failedLogins || 0) + 1;
+    let locked = false;
+    if (user.failedLogins >= maxFailedLogins) {
+      user.lockedUntil = new Date(Date.now() + lockoutMinutes * 60000).toISOString();
+      user.failedLogins = 0;
+      locked = true;
+    }
+    writeJSON(USERS_FILE, users);
+    logAccountEvent(req, user, locked ? "locked" : "login_failed");
+    return res.json({ success: false, message: "Invalid credentials" });
+  }
+
+  if (!user.passwordHash) setPassword(user, password); // transparent upgrade of legacy plaintext
+  user.failedLogins = 0;
+  delete user.lockedUntil;
+  user.lastLoginAt = new Date().toISOString();
+  writeJSON(USERS_FILE, users);
+
+  req.session.user = { username: user.username, role: user.role, farms: assignedFarms(user) };
+  logAccountEvent(req, user, "login");
   res.json({ success: true, role: user.role, username: user.username });
 });
 
+// Redeem a one-time reset code issued by a General Manager
+app.post("/reset-password", (req, res) => {
+  const { username, code, newPassword } = req.body || {};
+  if (!username || !code || !newPassword)
+    return res.status(400).json({ success: false, message: "Username, reset code and new password are required" });
+  if (String(newPassword).length < 4)
+    return res.status(400).json({ success: false, message: "Password must be at least 4 characters" });
+
+  const users = readJSON(USERS_FILE);
+  const user = users.find((u) => u.username === username);
+  const valid =
+    user &&
+    user.active !== false &&
+    user.resetCodeHash &&
+    new Date(user.resetCodeExpires) > new Date() &&
+    bcrypt.compareSync(String(code).trim().toUpperCase(), user.resetCodeHash);
+  if (!valid) {
+    if (user) logAccountEvent(req, user, "reset_failed");
+    return res.status(400).json({ success: false, message: "Invalid or expired reset code" });
+  }
+
+  setPassword(user, newPassword);
+  delete user.resetCodeHash;
+  delete user.resetCodeExpires;
+  delete user.lockedUntil;
+  user.failedLogins = 0;
+  writeJSON(USERS_FILE, users);
+  logAccountEvent(req, user, "password_reset");
+  res.json({ success: true });
+});
+
 app.post("/logout", (req, res) => req.session.destroy(() => res.json({ success: true })));
 app.get("/check-session", (req, res) => {
-  if (req.session.user) return res.json({ loggedIn: true, role: req.session.user.role });
+  if (req.session.user) return res.json({ loggedIn: true, role: req.session.user.role, farms: req.session.user.farms || null });
   res.status(401).json({ loggedIn: false });
 });
 
-// ---------- AGRONOMIST DATA ----------
+// ---------- USER ADMINISTRATION ----------
+app.get("/users", requireAnyRoleApi([ROLES.GeneralManager]), (req, res) => {
+  const payroll = readJSON(PAYROLL_FILE);
+  res.json(readJSON(USERS_FILE).map((u) => ({ ...publicUser(u), effectiveFarms: assignedFarms(u, payroll) })));
+});
 
-// Get data (with optional filters)
-app.get(
-  "/agro",
-  requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
-  (req, res) => {
-    const q = (req.query.q || "").trim().toLowerCase();
-    const farmFilter = (req.query.farm || "").trim().toLowerCase();
-    const ghFilter = (req.query.gh || "").trim().toLowerCase();
-    const timeFilter = (req.query.time || "").trim().toLowerCase();
+// Load the target user for an admin action; GMs can't lock themselves out
+function adminTarget(req, res, users) {
+  const user = users.find((u) => u.id === Number(req.params.id));
+  if (!user) {
+    res.status(404).json({ success: false, message: "User not found" });
+    return null;
+  }
+  if (user.username === req.session.user.username) {
+    res.status(400).json({ success: false, message: "You can't change your own account here" });
+    return null;
+  }
+  return user;
+}
 
-    const agroData = readJSON(AGRO_FILE);
+app.post("/users/:id/role", requireAnyRoleApi([ROLES.GeneralManager]), (req, res) => {
+  const role = (req.body || {}).role;
+  if (!Object.values(ROLES).includes(role))
+    return res.status(400).json({ success: false, message: "Invalid role" });
+  const users = readJSON(USERS_FILE);
+  const user = adminTarget(req, res, users);
+  if (!user) return;
+  const before = user.role;
+  if (before === role) return res.json({ success: true, user: publicUser(user) });
+  user.role = role;
+  writeJSON(USERS_FILE, users);
+  logAccountEvent(req, user, "role_change", [{ field: "role", before, after: role }]);
+  res.json({ success: true, user: publicUser(user) });
+});
 
-    const filtered = agroData.filter(r => {
-      const values = Object.values(r).map(v => String(v).toLowerCase());
-      const textMatch = !q || values.some(v => v.includes(q));
-      const farmMatch = !farmFilter || (r.farm && r.farm.toLowerCase() === farmFilter);
-      const ghMatch = !ghFilter || (r.gh && r.gh.toLowerCase() === ghFilter);
-      const timeMatch = !timeFilter || (r.time && r.time.toLowerCase() === timeFilter);
-      return textMatch && farmMatch && ghMatch && timeMatch;
-    });
+app.post("/users/:id/:action(deactivate|reactivate)", requireAnyRoleApi([ROLES.GeneralManager]), (req, res) => {
+  const users = readJSON(USERS_FILE);
+  const user = adminTarget(req, res, users);
+  if (!user) return;
+  const active = req.params.action === "reactivate";
+  const before = user.active !== false;
+  user.active = active;
+  if (active) delete user.deactivatedAt;
+  else user.deactivatedAt = new Date().toISOString();
+  // A leaver's outstanding reset code must not be usable
+  if (!active) {
+    delete user.resetCodeHash;
+    delete user.resetCodeExpires;
+  }
+  writeJSON(USERS_FILE, users);
+  logAccountEvent(req, user, req.params.action, [{ field: "active", before, after: active }]);
+  res.json({ success: true, user: publicUser(user) });
+});
 
-    res.json(filtered);
+app.post("/users/:id/unlock", requireAnyRoleApi([ROLES.GeneralManager]), (req, res) => {
+  const users = readJSON(USERS_FILE);
+  const user = adminTarget(req, res, users);
+  if (!user) return;
+  delete user.lockedUntil;
+  user.failedLogins = 0;
+  writeJSON(USERS_FILE, users);
+  logAccountEvent(req, user, "unlock");
+  res.json({ success: true, user: publicUser(user) });
+});
+
+// Issue a one-time reset code; the plain code is only ever shown in this response
+app.post("/users/:id/reset-code", requireAnyRoleApi([ROLES.GeneralManager]), (req, res) => {
+  const users = readJSON(USERS_FILE);
+  const user = adminTarget(req, res, users);
+  if (!user) return;
+  if (user.active === false)
+    return res.status(409).json({ success: false, message: "Reactivate the account first" });
+  const code = crypto.randomBytes(4).toString("hex").toUpperCase();
+  user.resetCodeHash = bcrypt.hashSync(code, BCRYPT_ROUNDS);
+  user.resetCodeExpires = new Date(Date.now() + getSettings().accounts.resetCodeHours * 3600000).toISOString();
+  writeJSON(USERS_FILE, users);
+  logAccountEvent(req, user, "reset_issued");
+  res.json({ success: true, code, expiresAt: user.resetCodeExpires });
+});
+
+// ---------- FARM ACCESS ----------
+// Users can be limited to some farms: `farms` on the user record (set by a General Manager below),
+// else `farms` (or `farm`) on their payroll.json record. General Managers, and users with no
+// assignment anywhere, see every farm. The session carries the resolved list as user.farms and is
+// refreshed on each request, like the role.
+function assignedFarms(user, payroll = readJSON(PAYROLL_FILE)) {
+  if (!user || user.role === ROLES.GeneralManager) return null;
+  let farms = Array.isArray(user.farms) && user.farms.length ? user.farms : null;
+  if (!farms) {
+    const record = payroll.find((p) => String(p.payrollNumber) === String(user.payrollNumber));
+    farms = record ? record.farms ?? record.farm : null;
   }
-);
+  const codes = (Array.isArray(farms) ? farms : String(farms ?? "").split(",")).map(siteCode).filter(Boolean);
+  return codes.length ? [...new Set(codes)] : null;
+}
 
-// Add a single row
-app.post(
-  "/agro/add",
-  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+// The farm codes a session (or API) user is limited to; null = every farm
+function farmScope(user) {
+  if (!user || user.role === ROLES.GeneralManager) return null;
+  return Array.isArray(user.farms) && user.farms.length ? user.farms : null;
+}
+
+function canAccessFarm(user, farm) {
+  const scope = farmScope(user);
+  return !scope || scope.includes(siteCode(farm));
+}
+
+function scopeToFarms(user, rows, field = "farm") {
+  const scope = farmScope(user);
+  return scope ? rows.filter((r) => scope.includes(siteCode(r[field]))) : rows;
+}
+
+function farmForbidden(res, farms) {
+  const list = [...new Set(farms.map((f) => String(f ?? "").trim() || "(blank)"))];
+  return res.status(403).json({ success: false, message: `You don't have access to farm ${list.join(", ")}` });
+}
+
+// Body: { farms: ["7", "9"] } or "7, 9"; empty falls back to the payroll record (else all farms)
+app.post("/users/:id/farms", requireAnyRoleApi([ROLES.GeneralManager]), (req, res) => {
+  const raw = (req.body || {}).farms;
+  const given = (Array.isArray(raw) ? raw : String(raw ?? "").split(",")).map((f) => String(f ?? "").trim()).filter(Boolean);
+  const sites = readJSON(SITES_FILE);
+  const unknown = sites.length ? given.filter((f) => !findSite(sites, "farm", f)) : [];
+  if (unknown.length)
+    return res.status(400).json({ success: false, message: `Farm ${unknown.join(", ")} is not in the site registry` });
+  const farms = [...new Set(given.map((f) => (sites.length ? findSite(sites, "farm", f).farm : siteCode(f))))];
+
+  const users = readJSON(USERS_FILE);
+  const user = adminTarget(req, res, users);
+  if (!user) return;
+  const before = Array.isArray(user.farms) ? user.farms : [];
+  user.farms = farms;
+  writeJSON(USERS_FILE, users);
+  logAccountEvent(req, user, "farms_change", [{ field: "farms", before: before.join(", ") || null, after: farms.join(", ") || "(payroll / all)" }]);
+  res.json({ success: true, user: { ...publicUser(user), effectiveFarms: assignedFarms(user) } });
+});
+
+// ---------- SITE REGISTRY ----------
+// sites.json: one record per farm, greenhouse or bed
+// { id, type: "farm" | "greenhouse" | "bed", farm, gh, bed, name, areaM2, crop, variety, notes, updatedAt, updatedBy }
+// gh is set for greenhouses and beds, bed only for beds. Codes are what rows store ("7", "39", "B4").
+const SITE_TYPES = ["farm", "greenhouse", "bed"];
+
+// "Farm 07", "farm7", " 7 " -> "7"; "GH-39" -> "39"; "Bed B4" -> "b4"
+function siteCode(v) {
+  const s = String(v ?? "").trim().toLowerCase().replace(/^(farm|greenhouse|gh|bed)\s*[-#:.]?\s*/, "");
+  return /^\d+$/.test(s) ? String(parseInt(s, 10)) : s;
+}
+
+function siteKey(site) {
+  return [site.type, siteCode(site.farm), siteCode(site.gh), siteCode(site.bed)].join("|");
+}
+
+function findSite(sites, type, farm, gh, bed) {
+  return sites.find((s) => siteKey(s) === siteKey({ type, farm, gh: type === "farm" ? "" : gh, bed: type === "bed" ? bed : "" }));
+}
+
+// Map free-typed farm / gh / bed on rows to registered codes, filling blank area, crop and
+// variety from the greenhouse. ghField is "gh" for agro rows, "greenhouse" for farm reports.
+// Rows are updated in place; unknown sites come back as errors. An empty registry checks nothing.
+function resolveSites(rows, ghField = "gh", sites = readJSON(SITES_FILE)) {
+  const errors = [];
+  if (!sites.length) return errors;
+  for (const row of rows) {
+    const where = { id: row.id, day: "" };
+    const farm = findSite(sites, "farm", row.farm);
+    if (!farm) {
+      errors.push({ ...where, field: "farm", message: `Farm "${row.farm || ""}" is not in the site registry` });
+      continue;
+    }
+    row.farm = farm.farm;
+    if (!String(row[ghField] ?? "").trim()) continue;
+
+    const gh = findSite(sites, "greenhouse", farm.farm, row[ghField]);
+    if (!gh) {
+      errors.push({ ...where, field: ghField, message: `Greenhouse "${row[ghField]}" is not registered on farm ${farm.farm}` });
+      continue;
+    }
+    row[ghField] = gh.gh;
+    if (ghField === "gh" && !String(row.area ?? "").trim() && gh.areaM2) row.area = String(gh.areaM2);
+    if (!String(row.crop ?? "").trim() && gh.crop) row.crop = gh.crop;
+    if (!String(row.variety ?? "").trim() && gh.variety) row.variety = gh.variety;
+
+    const bed = String(row.bed ?? "").trim();
+    if (bed && bed.toLowerCase() !== "all") {
+      const b = findSite(sites, "bed", farm.farm, gh.gh, bed);
+      if (!b) errors.push({ ...where, field: "bed", message: `Bed "${bed}" is not registered in GH ${gh.gh} (farm ${farm.farm})` });
+      else row.bed = b.bed;
+    }
+  }
+  return errors;
+}
+
+app.get(
+  "/sites",
+  requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
   (req, res) => {
-    const rows = readJSON(AGRO_FILE);
-    const newRow = {
-      id: rows.length ? Math.max(...rows.map(r => r.id || 0)) + 1 : 1,
-      ...req.body,
-      supervisorRemarks: ""
-    };
-    rows.push(newRow);
-    writeJSON(AGRO_FILE, rows);
-    res.json({ success: true, row: newRow });
+    const { type, farm, gh } = req.query;
+    let sites = readJSON(SITES_FILE);
+    if (type) sites = sites.filter((s) => s.type === type);
+    if (farm) sites = sites.filter((s) => siteCode(s.farm) === siteCode(farm));
+    if (gh) sites = sites.filter((s) => siteCode(s.gh) === siteCode(gh));
+    res.json(sites);
   }
 );
-// Safer Save (prevents overwriting full file with filtered results)
+
+// Upsert by id, or by farm / gh / bed code for the given type
 app.post(
-  "/agro/save",
+  "/sites",
   requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
   (req, res) => {
-    try {
-      const newRows = req.body; // rows from frontend
-      if (!Array.isArray(newRows)) {
-        return res.status(400).json({ success: false, message: "Invalid data" });
-      }
-
-      const existingRows = readJSON(AGRO_FILE);
-
-      let added = 0;
-      let duplicates = 0;
+    const body = req.body || {};
+    const type = String(body.type || "");
+    if (!SITE_TYPES.includes(type))
+      return res.status(400).json({ success: false, message: `type must be one of ${SITE_TYPES.join(", ")}` });
 
-      newRows.forEach(row => {
-        // ensure ID
-        if (!row.id) {
-          row.id = existingRows.length
-            ? Math.max(...existingRows.map(r => r.id || 0)) + 1
-            : 1;
-        }
+    const code = (v) => String(v ?? "").trim().replace(/^(farm|greenhouse|gh|bed)\s*[-#:.]?\s*/i, "").replace(/^0+(?=\d)/, "");
+    const site = {
+      type,
+      farm: code(body.farm),
+      gh: type === "farm" ? "" : code(body.gh),
+      bed: type === "bed" ? code(body.bed) : "",
+    };
+    const missing = ["farm", ...(type !== "farm" ? ["gh"] : []), ...(type === "bed" ? ["bed"] : [])].filter((k) => !site[k]);
+    if (missing.length)
+      return res.status(400).json({ success: false, message: `${missing.join(", ")} required for a ${type}` });
 
-        const exists = existingRows.some(r =>
-          r.id === row.id ||
-          (
-            r.farm === row.farm &&
-            r.gh === row.gh &&
-            r.area === row.area &&
-            r.crop === row.crop &&
-            r.time === row.time
-          )
-        );
+    const areaM2 = body.areaM2 === "" || body.areaM2 == null ? null : Number(body.areaM2);
+    if (areaM2 !== null && !(areaM2 >= 0))
+      return res.status(400).json({ success: false, message: "Area must be a number of m²" });
 
-        if (exists) {
-          duplicates++;
-        } else {
-          existingRows.push(row);
-          added++;
-        }
-      });
+    const sites = readJSON(SITES_FILE);
+    if (type !== "farm" && !findSite(sites, "farm", site.farm))
+      return res.status(400).json({ success: false, message: `Register farm ${site.farm} first` });
+    if (type === "bed" && !findSite(sites, "greenhouse", site.farm, site.gh))
+      return res.status(400).json({ success: false, message: `Register greenhouse ${site.gh} on farm ${site.farm} first` });
 
-      writeJSON(AGRO_FILE, existingRows);
+    const byId = body.id ? sites.findIndex((s) => s.id === Number(body.id)) : -1;
+    const byKey = sites.findIndex((s) => siteKey(s) === siteKey(site));
+    if (byKey !== -1 && byId !== -1 && byKey !== byId)
+      return res.status(409).json({ success: false, message: "Another site already has that code" });
+    const idx = byId !== -1 ? byId : byKey;
 
-      res.json({
-        success: true,
-        added,
-        duplicates,
-        message: duplicates
-          ? `${duplicates} rows already saved`
-          : `${added} new rows saved`
-      });
-    } catch (err) {
-      console.error("Save failed:", err);
-      res.status(500).json({ success: false, message: "Save failed" });
-    }
+    const record = {
+      ...(idx >= 0 ? sites[idx] : {}),
+      id: idx >= 0 ? sites[idx].id : allocateId(SITES_FILE),
+      ...site,
+      name: String(body.name || "").trim(),
+      areaM2,
+      crop: String(body.crop || "").trim(),
+      variety: String(body.variety || "").trim(),
+      notes: String(body.notes || "").trim(),
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.session.user.username,
+    };
+    if (idx >= 0) sites[idx] = record;
+    else sites.push(record);
+    writeJSON(SITES_FILE, sites);
+    res.json({ success: true, site: record });
   }
 );
 
+app.delete(
+  "/sites/:id",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const sites = readJSON(SITES_FILE);
+    const site = sites.find((s) => s.id === Number(req.params.id));
+    if (!site) return res.status(404).json({ success: false, message: "Not found" });
+    const children = sites.filter(
+      (s) =>
+        s.id !== site.id &&
+        siteCode(s.farm) === siteCode(site.farm) &&
+        (site.type === "farm" || (site.type === "greenhouse" && s.type === "bed" && siteCode(s.gh) === siteCode(site.gh)))
+    );
+    if (site.type !== "bed" && children.length)
+      return res.status(409).json({ success: false, message: `Remove its ${children.length} greenhouse/bed record(s) first` });
+    writeJSON(SITES_FILE, sites.filter((s) => s.id !== site.id));
+    res.json({ success: true });
+  }
+);
 
-// Bulk replace data (used for Excel import in JSON format)
-// Bulk replace data (used for Excel import in JSON format)
-app.post(
-  "/agro/bulk_set",
+// Farm / GH values used in existing rows that don't match the registry, to clean up or register
+app.get(
+  "/sites/unregistered",
   requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
   (req, res) => {
-    try {
-      const newData = req.body;
-      if (!Array.isArray(newData)) {
-        return res.status(400).json({ success: false, message: "Invalid data" });
-      }
+    const sites = readJSON(SITES_FILE);
+    const found = {};
+    const check = (source, farm, gh) => {
+      const f = findSite(sites, "farm", farm);
+      const g = f && String(gh ?? "").trim() ? findSite(sites, "greenhouse", f.farm, gh) : f;
+      if (f && g) return;
+      const key = `${farm}|${gh}`;
+      const cur = found[key] || (found[key] = { farm: String(farm ?? ""), gh: String(gh ?? ""), missing: f ? "greenhouse" : "farm", agro: 0, farmreport: 0 });
+      cur[source]++;
+    };
+    readJSON(AGRO_FILE).forEach((r) => check("agro", r.farm, r.gh));
+    readJSON(FARM_REPORT_FILE).forEach((r) => check("farmreport", r.farm, r.greenhouse));
+    res.json(Object.values(found));
+  }
+);
 
-      const existing = readJSON(AGRO_FILE);
+// ---------- CHEMICAL REGISTRY ----------
+// { id, name, activeIngredient, reiHours, phiDays, labelRateMin, labelRateMax, rateUnit, formulation, notes }
+// rateUnit is one of RATE_UNITS (ml/L, g/L, L/ha, kg/ha); formulation (WP, SC, EC, ...) sets the tank-mix order
+function findChemical(name, registry = readJSON(CHEMICALS_FILE)) {
+  const key = String(name || "").trim().toLowerCase();
+  if (!key) return null;
+  return registry.find((c) => String(c.name || "").trim().toLowerCase() === key) || null;
+}
 
-      // Determine max ID in existing data
-      let maxId = existing.reduce((m, r) => Math.max(m, r.id || 0), 0);
+// ISO-8601 week helpers (weeks start on Monday, week 1 contains the first Thursday)
+function isoWeekOf(date = new Date()) {
+  const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  const dayNum = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - dayNum);
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  return { year: d.getUTCFullYear(), week: Math.ceil(((d - yearStart) / 86400000 + 1) / 7) };
+}
+function isoWeekMonday(year, week) {
+  const jan4 = new Date(year, 0, 4);
+  const monday = new Date(jan4);
+  monday.setDate(jan4.getDate() - ((jan4.getDay() || 7) - 1) + (week - 1) * 7);
+  return monday;
+}
 
-      const merged = [...existing];
+// Program rows without a year/week are treated as the current week's program
+function programWeekOf(row) {
+  const year = parseInt(row.year, 10);
+  const week = parseInt(row.week, 10);
+  if (!isNaN(year) && !isNaN(week)) return { year, week };
+  return isoWeekOf(new Date());
+}
 
-      newData.forEach((row) => {
-        // Assign new ID if missing
-        if (!row.id) row.id = ++maxId;
+// Rows that carry their own program week (stamped on save, or from a dated program at start-up).
+// Undated legacy rows would otherwise land in whatever week it is now, every week.
+function datedRows(rows) {
+  return rows.filter((r) => parseProgramWeek(r.year, r.week));
+}
 
-        // Find existing by ID
-        const idx = merged.findIndex(r => r.id === row.id);
+// When the day's spray starts: evening window -> 16:00, otherwise 07:00 (or row.time if "HH:MM")
+function sprayDateTime(row, day) {
+  const { year, week } = programWeekOf(row);
+  const at = isoWeekMonday(year, week);
+  at.setDate(at.getDate() + DAYS.indexOf(day));
+  const m = /^(\d{1,2}):(\d{2})/.exec(String(row.time || "").trim());
+  const isYes = (v) => ["yes", "y", "true", "1", "x"].includes(String(v || "").trim().toLowerCase());
+  if (m) at.setHours(Number(m[1]), Number(m[2]), 0, 0);
+  else if (isYes(row.evening) && !isYes(row.morning)) at.setHours(16, 0, 0, 0);
+  else at.setHours(7, 0, 0, 0);
+  return at;
+}
 
-        if (idx !== -1) {
-          // Merge, preserving supervisorRemarks if not provided
-          merged[idx] = {
-            ...merged[idx],
-            ...row,
-            supervisorRemarks: row.supervisorRemarks ?? merged[idx].supervisorRemarks ?? ""
-          };
-        } else {
-          // New row
-          if (!row.supervisorRemarks) row.supervisorRemarks = "";
-          merged.push(row);
+// One event per product sprayed on a planned day (a tank mix gives one per product)
+function sprayEventsForRow(row) {
+  return DAYS.flatMap((day) =>
+    tankMixOf(row, day).map((item) => ({
+      rowId: row.id,
+      day,
+      farm: String(row.farm || ""),
+      gh: String(row.gh || ""),
+      chemical: item.chemical,
+      rate: item.rate,
+      at: sprayDateTime(row, day),
+    }))
+  );
+}
+
+function sameSite(a, b) {
+  return (
+    String(a.farm || "").trim().toLowerCase() === String(b.farm || "").trim().toLowerCase() &&
+    String(a.gh || "").trim().toLowerCase() === String(b.gh || "").trim().toLowerCase()
+  );
+}
+
+// REI/PHI checks for rows about to be written. `allRows` is the program as it will be
+// after the write, so clashes between two incoming rows are caught too.
+// errors block the write; warnings are returned to the client alongside success.
+function validateSprayRows(candidates, allRows) {
+  const registry = readJSON(CHEMICALS_FILE);
+  // Site codes and tank mixes are normalised first so the REI / rotation checks below compare like with like
+  const errors = resolveSites(candidates, "gh");
+  syncTankMixes(candidates);
+  const warnings = [];
+  const allEvents = datedRows(allRows).flatMap(sprayEventsForRow);
+  const matrix = readJSON(TANK_MIX_FILE);
+
+  for (const row of candidates) {
+    for (const day of DAYS) {
+      checkTankMix(tankMixOf(row, day), matrix).forEach((w) =>
+        warnings.push({ id: row.id, day, chemical: `${w.a} + ${w.b}`, message: w.message })
+      );
+    }
+  }
+
+  for (const row of candidates) {
+    for (const ev of sprayEventsForRow(row)) {
+      const where = { id: row.id, day: ev.day, chemical: ev.chemical };
+      const chem = findChemical(ev.chemical, registry);
+      if (!chem) {
+        warnings.push({ ...where, message: `${ev.chemical} is not in the chemical registry` });
+        continue;
+      }
+
+      const phiDays = Number(chem.phiDays) || 0;
+      if (phiDays && row.harvestDate) {
+        const harvest = new Date(row.harvestDate);
+        const earliest = new Date(ev.at.getTime() + phiDays * 86400000);
+        if (!isNaN(harvest) && earliest > harvest) {
+          errors.push({
+            ...where,
+            message: `PHI of ${phiDays} day(s): earliest harvest ${earliest.toISOString().slice(0, 10)}, planned ${row.harvestDate}`,
+          });
         }
-      });
+      }
 
-      // Save merged data
-      writeJSON(AGRO_FILE, merged);
-      res.json({ success: true, count: newData.length });
-    } catch (err) {
-      console.error("Bulk set failed:", err);
-      res.status(500).json({ success: false, message: "Server error" });
+      const reiHours = Number(chem.reiHours) || 0;
+      if (reiHours) {
+        const reiUntil = new Date(ev.at.getTime() + reiHours * 3600000);
+        allEvents
+          .filter((o) => sameSite(o, ev) && !(o.rowId === row.id && o.day === ev.day) && o.at > ev.at && o.at < reiUntil)
+          .forEach((o) =>
+            warnings.push({
+              ...where,
+              message: `REI of ${reiHours}h after ${ev.chemical}: workers would enter GH ${ev.gh} for ${o.chemical} (row ${o.rowId}, ${o.day}) before ${reiUntil.toISOString()}`,
+            })
+          );
+      }
     }
   }
-);
 
+  // Rotation: only flag applications that belong to the rows being written
+  const touched = new Set(candidates.map((r) => r.id));
+  const touchedSites = allRows.filter((r) => candidates.some((c) => sameSite(c, r)));
+  for (const site of analyseRotation(touchedSites)) {
+    site.flags
+      .filter((f) => touched.has(f.rowId))
+      .forEach((f) => warnings.push({ id: f.rowId, day: f.day, chemical: f.chemical, message: f.message }));
+  }
+  return { errors, warnings };
+}
+
+// Greenhouses under restricted entry (REI) or pre-harvest interval (PHI) at `now`
+function restrictedEntries(now = new Date(), rows = visibleAgroRows(null, readJSON(AGRO_FILE))) {
+  const registry = readJSON(CHEMICALS_FILE);
+  const out = [];
+  for (const ev of datedRows(rows).flatMap(sprayEventsForRow)) {
+    if (ev.at > now) continue;
+    const chem = findChemical(ev.chemical, registry);
+    if (!chem) continue;
+    const reiUntil = new Date(ev.at.getTime() + (Number(chem.reiHours) || 0) * 3600000);
+    const phiUntil = new Date(ev.at.getTime() + (Number(chem.phiDays) || 0) * 86400000);
+    if (reiUntil <= now && phiUntil <= now) continue;
+    out.push({
+      farm: ev.farm,
+      gh: ev.gh,
+      rowId: ev.rowId,
+      day: ev.day,
+      chemical: chem.name,
+      sprayedAt: ev.at.toISOString(),
+      reiUntil: reiUntil > now ? reiUntil.toISOString() : null,
+      phiUntil: phiUntil > now ? phiUntil.toISOString() : null,
+    });
+  }
+  return out;
+}
 
+app.get(
+  "/chemicals",
+  requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    let rows = readJSON(CHEMICALS_FILE);
+    rows.sort((a, b) => String(a.name || "").localeCompare(String(b.name || "")));
+    // Prices are for whoever maintains them and the cost dashboard, not the field
+    if ([ROLES.Agronomist, ROLES.GeneralManager].includes(req.session.user.role)) {
+      const prices = readJSON(CHEMICAL_PRICES_FILE);
+      const today = localDateText(new Date());
+      rows = rows.map((c) => ({ ...c, currentPrice: priceOn(c.id, today, prices) }));
+    }
+    res.json(rows);
+  }
+);
 
-// Supervisor remarks
+// Create or update (by id, else by name)
 app.post(
-  "/agro/supervisor-remarks",
-  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  "/chemicals",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
   (req, res) => {
-    const { id, supervisorRemarks } = req.body || {};
-    if (!id) return res.status(400).json({ success: false, message: "Missing id" });
-    const rows = readJSON(AGRO_FILE);
-    const idx = rows.findIndex((r) => r.id === Number(id));
+    const body = req.body || {};
+    const name = String(body.name || "").trim();
+    if (!name) return res.status(400).json({ success: false, message: "name required" });
+    const formulation = String(body.formulation || "").trim().toUpperCase();
+    if (formulation && !FORMULATIONS.includes(formulation))
+      return res.status(400).json({ success: false, message: `formulation must be one of ${FORMULATIONS.join(", ")}` });
+
+    const rows = readJSON(CHEMICALS_FILE);
+    let idx = body.id ? rows.findIndex((c) => c.id === Number(body.id)) : -1;
+    if (idx === -1) idx = rows.findIndex((c) => String(c.name).trim().toLowerCase() === name.toLowerCase());
+
+    const chem = {
+      ...(idx >= 0 ? rows[idx] : {}),
+      id: idx >= 0 ? rows[idx].id : allocateId(CHEMICALS_FILE),
+      name,
+      activeIngredient: String(body.activeIngredient || ""),
+      reiHours: Number(body.reiHours) || 0,
+      phiDays: Number(body.phiDays) || 0,
+      labelRateMin: Number(body.labelRateMin) || 0,
+      labelRateMax: Number(body.labelRateMax) || 0,
+      rateUnit: String(body.rateUnit || ""),
+      moaScheme: String(body.moaScheme || "").toUpperCase(),
+      moaGroup: String(body.moaGroup || "").trim().toUpperCase(),
+      formulation,
+      notes: String(body.notes || ""),
+      updatedAt: new Date().toISOString(),
+    };
+    if (idx >= 0) rows[idx] = chem;
+    else rows.push(chem);
+    writeJSON(CHEMICALS_FILE, rows);
+    res.json({ success: true, chemical: chem });
+  }
+);
+
+app.delete(
+  "/chemicals/:id",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const rows = readJSON(CHEMICALS_FILE);
+    const idx = rows.findIndex((c) => c.id === Number(req.params.id));
     if (idx === -1) return res.status(404).json({ success: false, message: "Not found" });
-    rows[idx].supervisorRemarks = supervisorRemarks || "";
-    writeJSON(AGRO_FILE, rows);
+    rows.splice(idx, 1);
+    writeJSON(CHEMICALS_FILE, rows);
     res.json({ success: true });
   }
 );
 
-// Search with filters
+// "Do not enter until" per farm/GH
 app.get(
-  "/agro/search",
+  "/agro/restricted-entry",
   requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
   (req, res) => {
-    const { farm, gh, time, q } = req.query;
-    let rows = readJSON(AGRO_FILE);
-
-    if (farm) rows = rows.filter(r => String(r.farm || "").toLowerCase().includes(farm.toLowerCase()));
-    if (gh) rows = rows.filter(r => String(r.gh || "").toLowerCase().includes(gh.toLowerCase()));
-    if (time) rows = rows.filter(r => String(r.time || "").toLowerCase().includes(time.toLowerCase()));
-    if (q) {
-      const qLower = q.toLowerCase();
-      rows = rows.filter(r => Object.values(r).some(v => String(v || "").toLowerCase().includes(qLower)));
-    }
-
-    rows.sort((a, b) => (b.id || 0) - (a.id || 0));
+    const { farm, gh } = req.query;
+    let rows = scopeToFarms(req.session.user, restrictedEntries());
+    if (farm) rows = rows.filter((r) => r.farm.toLowerCase() === String(farm).toLowerCase());
+    if (gh) rows = rows.filter((r) => r.gh.toLowerCase() === String(gh).toLowerCase());
+    rows.sort((a, b) => String(b.reiUntil || "").localeCompare(String(a.reiUntil || "")));
     res.json(rows);
   }
 );
 
+// ---------- DOSAGE CALCULATOR ----------
+// Rows store ${day}_rate as product per litre of spray mix (ml/L or g/L) and ${day}_vol as litres
+// of water — the stock draw-down multiplies the two. Label rates per hectare are converted here.
+const RATE_UNITS = {
+  "ml/L": { base: "ml", factor: 1, per: "L" },
+  "g/L": { base: "g", factor: 1, per: "L" },
+  "L/ha": { base: "ml", factor: 1000, per: "ha" },
+  "kg/ha": { base: "g", factor: 1000, per: "ha" },
+};
 
-// Excel export/import
-const upload = multer({ dest: "uploads/" });
+const round = (n, dp = 2) => Math.round(n * 10 ** dp) / 10 ** dp;
 
-// Excel export (supports .xlsx and .xlsm)
-app.get(
-  "/agro/export",
-  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager, ROLES.Supervisor, ROLES.Viewer]),
+function methodProfile(method, dosage = getSettings().dosage) {
+  const text = String(method || "").toLowerCase();
+  const key = Object.keys(dosage.methods || {}).find((k) => text.includes(k));
+  const profile = key ? dosage.methods[key] : {};
+  return {
+    method: key || "default",
+    waterLPerHa: Number(profile.waterLPerHa) || Number(dosage.waterLPerHa),
+    tankL: Number(profile.tankL) || Number(dosage.tankL),
+  };
+}
+
+// Registered area of a bed, else its greenhouse
+function siteAreaM2(farm, gh, bed, sites = readJSON(SITES_FILE)) {
+  const b = bed && String(bed).toLowerCase() !== "all" ? findSite(sites, "bed", farm, gh, bed) : null;
+  if (b && b.areaM2) return Number(b.areaM2);
+  const g = gh ? findSite(sites, "greenhouse", farm, gh) : null;
+  return g && g.areaM2 ? Number(g.areaM2) : 0;
+}
+
+// { chemical, rate (label units; defaults to the label rate), rateUnit (if not registered),
+//   areaM2 | farm + gh [+ bed], method, tankL } -> { errors, warnings, overLabel, result }
+function calculateDosage(input, registry = readJSON(CHEMICALS_FILE), sites = readJSON(SITES_FILE)) {
+  const errors = [];
+  const warnings = [];
+  const chem = findChemical(input.chemical, registry);
+  const unit = (chem && chem.rateUnit) || input.rateUnit || "ml/L";
+  const u = RATE_UNITS[unit];
+  if (!u) return { errors: [`Unknown rate unit "${unit}"`], warnings, overLabel: false, result: null };
+  if (!chem) warnings.push(`${input.chemical || "Chemical"} is not in the chemical registry; label limits not checked`);
+
+  const given = String(input.rate ?? "").trim();
+  const rate = given ? parseQuantity(given) : Number(chem && (chem.labelRateMin || chem.labelRateMax)) || 0;
+  if (!(rate > 0)) errors.push("Enter a rate (the chemical has no label rate on file)");
+
+  const min = Number(chem && chem.labelRateMin) || 0;
+  const max = Number(chem && chem.labelRateMax) || 0;
+  const overLabel = !!(max && rate > max);
+  if (overLabel) errors.push(`${rate} ${unit} is above the label maximum of ${max} ${unit} for ${chem.name}`);
+  else if (min && rate && rate < min) warnings.push(`${rate} ${unit} is below the label minimum of ${min} ${unit}`);
+
+  const areaM2 = parseQuantity(input.areaM2) || siteAreaM2(input.farm, input.gh, input.bed, sites);
+  if (!areaM2) errors.push("Area unknown: enter it or register the greenhouse area in the site registry");
+
+  if (errors.length) return { errors, warnings, overLabel, result: null };
+
+  const profile = methodProfile(input.method);
+  const tankL = parseQuantity(input.tankL) || profile.tankL;
+  const areaHa = areaM2 / 10000;
+  const waterL = round(profile.waterLPerHa * areaHa, 1);
+  if (!(waterL > 0)) return { errors: ["Area too small to calculate a spray volume"], warnings, overLabel, result: null };
+  const productTotal = u.per === "L" ? rate * waterL : rate * u.factor * areaHa;
+  const mixRate = productTotal / waterL;
+
+  const fullTanks = Math.floor(waterL / tankL);
+  const lastWater = round(waterL - fullTanks * tankL, 1);
+  return {
+    errors,
+    warnings,
+    overLabel,
+    result: {
+      chemical: chem ? chem.name : String(input.chemical || ""),
+      rate,
+      rateUnit: unit,
+      areaM2,
+      method: profile.method,
+      waterLPerHa: profile.waterLPerHa,
+      waterL,
+      productUnit: u.base,
+      productTotal: round(productTotal),
+      mixRate: round(mixRate, 3),
+      mixRateUnit: `${u.base}/L`,
+      tankL,
+      tanks: fullTanks + (lastWater > 0 ? 1 : 0),
+      perTank: fullTanks ? { waterL: tankL, product: round(mixRate * tankL) } : null,
+      lastTank: lastWater > 0 ? { waterL: lastWater, product: round(mixRate * lastWater) } : null,
+    },
+  };
+}
+
+// For rows being added / imported: a sprayed day with no volume gets rate, volume and area
+// filled from the calculator (its rate read as label units); a day with a volume has its
+// per-litre rate converted back to label units and held to the label maximum.
+// Each product in a tank mix is checked on its own; they share the day's water volume.
+function applyDosage(rows, registry = readJSON(CHEMICALS_FILE), sites = readJSON(SITES_FILE)) {
+  const errors = [];
+  const warnings = [];
+  for (const row of rows) {
+    for (const d of DAYS) {
+      const items = tankMixOf(row, d);
+      if (!items.length) continue;
+      const areaM2 = parseQuantity(row[`${d}_area`]) || parseQuantity(row.area) || siteAreaM2(row.farm, row.gh, row.bed, sites);
+
+      if (!String(row[`${d}_vol`] ?? "").trim()) {
+        const calcs = items.map((item) =>
+          calculateDosage(
+            { chemical: item.chemical, rate: item.rate, areaM2, method: row[`${d}_mode`] || row.method || row.mode },
+            registry,
+            sites
+          )
+        );
+        calcs.forEach((calc, i) => {
+          const where = { id: row.id, day: d, chemical: items[i].chemical };
+          if (calc.overLabel) errors.push({ ...where, message: calc.errors[0] });
+          else if (!calc.result) warnings.push({ ...where, message: `Volume not calculated: ${calc.errors[0]}` });
+        });
+        if (calcs.some((c) => !c.result)) continue;
+        setTankMix(row, d, items.map((item, i) => ({ ...item, rate: String(calcs[i].result.mixRate) })));
+        row[`${d}_vol`] = String(calcs[0].result.waterL);
+        if (!String(row[`${d}_area`] ?? "").trim()) row[`${d}_area`] = String(calcs[0].result.areaM2);
+        continue;
+      }
+
+      for (const item of items) {
+        const chem = findChemical(item.chemical, registry);
+        const u = chem && RATE_UNITS[chem.rateUnit];
+        const max = Number(chem && chem.labelRateMax) || 0;
+        const mix = parseQuantity(item.rate);
+        if (!u || !max || !mix) continue;
+        let labelRate = mix;
+        if (u.per === "ha") {
+          if (!areaM2) continue;
+          labelRate = (mix * parseQuantity(row[`${d}_vol`])) / (areaM2 / 10000) / u.factor;
+        }
+        if (labelRate > max * 1.0001)
+          errors.push({
+            id: row.id,
+            day: d,
+            chemical: item.chemical,
+            message: `${round(labelRate, 3)} ${chem.rateUnit} is above the label maximum of ${max} ${chem.rateUnit} for ${chem.name}`,
+          });
+      }
+    }
+  }
+  return { errors, warnings };
+}
+
+app.post(
+  "/agro/dosage",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
   (req, res) => {
-    try {
-      const rows = readJSON(AGRO_FILE);
-      const ws = xlsx.utils.json_to_sheet(rows);
-      const wb = xlsx.utils.book_new();
-      xlsx.utils.book_append_sheet(wb, ws, "AgroData");
+    const { errors, warnings, result } = calculateDosage(req.body || {});
+    if (errors.length) return res.status(400).json({ success: false, message: errors[0], errors, warnings });
+    res.json({ success: true, ...result, warnings });
+  }
+);
 
-      // Decide file extension from query (default = xlsx)
-      const ext = (req.query.ext || "xlsx").toLowerCase();
-      const filename = `agro_export.${ext}`;
+// ---------- MODE-OF-ACTION ROTATION ----------
+// Chemicals carry { moaScheme: "FRAC" | "IRAC" | "HRAC", moaGroup: "3" | "4A" | ... }.
+// Products missing from the registry fall back to a "FRAC 3" style tag typed in the day's mode column.
+function parseMoaTag(text) {
+  const m = /\b(FRAC|IRAC|HRAC)\s*(?:group\s*)?([0-9]{1,2}[A-Z]?|[A-Z]{1,2}\d*)\b/i.exec(String(text || ""));
+  return m ? `${m[1].toUpperCase()} ${m[2].toUpperCase()}` : "";
+}
 
-      // Write workbook to temp file
-      const tmpPath = path.join(__dirname, filename);
-      xlsx.writeFile(wb, tmpPath, { bookType: ext === "xlsm" ? "xlsm" : "xlsx" });
+function moaGroupFor(chemicalName, modeText, registry) {
+  const chem = findChemical(chemicalName, registry);
+  if (chem && chem.moaScheme && chem.moaGroup)
+    return `${String(chem.moaScheme).toUpperCase()} ${String(chem.moaGroup).toUpperCase()}`;
+  return parseMoaTag(modeText);
+}
 
-      res.download(tmpPath, filename, err => {
-        fs.unlink(tmpPath, () => {}); // cleanup
-        if (err) console.error("Download error:", err);
+// Per farm+GH: applications in date order, tagged with their group, plus the ones that
+// extend a run of the same group past the configured limit.
+function analyseRotation(rows, maxConsecutive = getSettings().rotation.maxConsecutive) {
+  const registry = readJSON(CHEMICALS_FILE);
+  const sites = new Map();
+
+  for (const row of rows) {
+    for (const ev of sprayEventsForRow(row)) {
+      const key = `${ev.farm.trim().toLowerCase()}|${ev.gh.trim().toLowerCase()}`;
+      if (!sites.has(key)) sites.set(key, { farm: ev.farm, gh: ev.gh, applications: [] });
+      sites.get(key).applications.push({
+        rowId: ev.rowId,
+        day: ev.day,
+        date: ev.at.toISOString(),
+        chemical: ev.chemical,
+        group: moaGroupFor(ev.chemical, row[`${ev.day}_mode`], registry),
       });
-    } catch (err) {
-      console.error("Export failed:", err);
-      res.status(500).json({ success: false, message: "Export failed" });
     }
   }
+
+  const report = [];
+  for (const site of sites.values()) {
+    site.applications.sort((a, b) => a.date.localeCompare(b.date));
+    const flags = [];
+    let run = 0;
+    let prev = "";
+    for (const app_ of site.applications) {
+      if (!app_.group) continue; // untagged products neither extend nor break a run
+      run = app_.group === prev ? run + 1 : 1;
+      prev = app_.group;
+      app_.consecutive = run;
+      if (run > maxConsecutive) {
+        flags.push({
+          ...app_,
+          message: `${app_.group} applied ${run} times in a row on farm ${site.farm} GH ${site.gh} (limit ${maxConsecutive})`,
+        });
+      }
+    }
+    const untagged = [...new Set(site.applications.filter((a) => !a.group).map((a) => a.chemical))];
+    report.push({ ...site, maxConsecutive, flags, untagged, status: flags.length ? "violation" : "ok" });
+  }
+
+  report.sort((a, b) => a.farm.localeCompare(b.farm) || a.gh.localeCompare(b.gh, undefined, { numeric: true }));
+  return report;
+}
+
+app.get(
+  "/agro/rotation",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const limit = parseInt(req.query.maxConsecutive, 10);
+    const report = analyseRotation(scopeToFarms(req.session.user, searchAgroRows(req.query || {})), isNaN(limit) ? undefined : limit);
+    res.json(report);
+  }
+);
+
+app.get(
+  "/agro/rotation/settings",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => res.json(getSettings().rotation)
 );
 
-// Excel import (supports .xlsx and .xlsm)
-// Universal import (CSV, XLSX, XLSM, ODS, etc.)
-// Universal import (CSV, XLSX, XLSM, ODS, etc.)
 app.post(
-  "/agro/import",
+  "/agro/rotation/settings",
   requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
-  upload.single("file"),
   (req, res) => {
-    if (!req.file) return res.status(400).send("No file uploaded");
+    const maxConsecutive = parseInt((req.body || {}).maxConsecutive, 10);
+    if (isNaN(maxConsecutive) || maxConsecutive < 1)
+      return res.status(400).json({ success: false, message: "maxConsecutive must be a whole number >= 1" });
+    const rotation = saveSettings("rotation", { maxConsecutive });
+    res.json({ success: true, rotation });
+  }
+);
 
-    try {
-      const ext = path.extname(req.file.originalname).toLowerCase();
+// ---------- SPRAY PROGRAM WORKFLOW ----------
+// Weekly program documents: { id, year, week, farm, title, status, revisionOf, history: [...] }.
+// Program rows carry programId. Only the rows of a published program reach Supervisors and
+// Viewers; anything else must go draft -> submitted -> approved (GeneralManager) -> published.
+const PROGRAM_STATUS = {
+  draft: "draft",
+  submitted: "submitted",
+  approved: "approved",
+  published: "published",
+  superseded: "superseded",
+};
 
-      let importedRaw = [];
+function programStatusOf(row, programs) {
+  const p = programs.find((x) => x.id === row.programId);
+  return p ? p.status : null;
+}
 
-      if (ext === ".csv" || ext === ".txt") {
-        // Read CSV/TXT
-        const fileContent = fs.readFileSync(req.file.path, "utf8");
-        const rows = xlsx.utils.sheet_to_json(
-          xlsx.utils.csv_to_sheet(fileContent),
-          { defval: "" }
-        );
-        importedRaw = rows;
-      } else {
-        // Excel-like (xlsx, xlsm, ods…)
-        const wb = xlsx.readFile(req.file.path, { bookVBA: true });
-        const ws = wb.Sheets[wb.SheetNames[0]];
-        importedRaw = xlsx.utils.sheet_to_json(ws, { defval: "" });
-      }
+// Supervisors/Viewers only get published rows; Agronomist/GM see drafts too. A user limited to
+// some farms only gets those farms' rows; no user (system jobs) means every farm.
+function visibleAgroRows(user, rows, programs = readJSON(PROGRAMS_FILE)) {
+  rows = scopeToFarms(user, rows);
+  if (user && [ROLES.Agronomist, ROLES.GeneralManager].includes(user.role)) return rows;
+  return rows.filter((r) => programStatusOf(r, programs) === PROGRAM_STATUS.published);
+}
 
-      // Read existing rows and determine next ID
-      const existingRows = readJSON(AGRO_FILE);
-      let maxId = existingRows.reduce((m, r) => Math.max(m, r.id || 0), 0);
-
-      const importedData = importedRaw.map((row) => {
-        const existing = row.id
-          ? existingRows.find((r) => r.id === row.id)
-          : null;
-
-        return {
-          id: row.id || ++maxId,
-          farm: row.farm || row.Farm || "",
-          gh: row.gh || row.GH || "",
-          area: row.area || row.AREA || "",
-          crop: row.crop || row.CROP || "",
-          variety: row.variety || row.VARIETY || "",
-          mode: row.mode || row.MODE || "",
-          method: row.method || row.METHOD || "",
-          time: row.time || row.TIME || "",
-
-          // --- Week fields ---
-          mon: row.mon || row.Mon || row.Monday || "",
-          tue: row.tue || row.Tue || row.Tuesday || "",
-          wed: row.wed || row.Wed || row.Wednesday || "",
-          thu: row.thu || row.Thu || row.Thursday || "",
-          fri: row.fri || row.Fri || row.Friday || "",
-          sat: row.sat || row.Sat || row.Saturday || "",
-          sun: row.sun || row.Sun || row.Sunday || "",
-
-          target: row.target || row.Target || "",
-          justification: row.justification || row.Justification || "",
-          morning: row.morning || row.Morning || "",
-          evening: row.evening || row.Evening || "",
-          preparedBy: row.preparedBy || row["Prepared By"] || "",
-          agronomistRemarks: row.agronomistRemarks || row["Agronomist Remarks"] || "",
-
-          // Preserve supervisor remarks
-          supervisorRemarks: existing
-            ? existing.supervisorRemarks
-            : (row.supervisorRemarks || "")
-        };
-      });
+// Rows edited in this request whose program is no longer an editable draft
+function lockedRows(changedRows, programs) {
+  return changedRows.filter((r) => {
+    const status = programStatusOf(r, programs);
+    return status && status !== PROGRAM_STATUS.draft;
+  });
+}
 
-      // Merge
-      const merged = [...existingRows];
-      importedData.forEach((r) => {
-        const idx = merged.findIndex((e) => e.id === r.id);
-        if (idx >= 0) merged[idx] = r;
-        else merged.push(r);
-      });
+function appendProgramHistory(program, status, user, comment = "") {
+  program.status = status;
+  program.history = [
+    ...(program.history || []),
+    { status, by: user ? user.username : "system", at: new Date().toISOString(), comment },
+  ];
+}
+
+// New rows (no programId) go into the open draft for their week + farm, creating it if needed.
+// Mutates rows and programs; the caller writes both files.
+function assignDraftPrograms(rows, user, programs) {
+  for (const row of rows) {
+    if (row.programId && programs.some((p) => p.id === row.programId)) continue;
+    const { year, week } = programWeekOf(row);
+    const farm = String(row.farm || "");
+    let draft = programs.find(
+      (p) => p.status === PROGRAM_STATUS.draft && p.year === year && p.week === week && String(p.farm) === farm
+    );
+    if (!draft) {
+      draft = {
+        id: allocateId(PROGRAMS_FILE),
+        year,
+        week,
+        farm,
+        title: `Farm ${farm || "-"} week ${week}/${year}`,
+        revisionOf: null,
+        createdBy: user ? user.username : "system",
+        createdAt: new Date().toISOString(),
+      };
+      appendProgramHistory(draft, PROGRAM_STATUS.draft, user);
+      programs.push(draft);
+    }
+    row.programId = draft.id;
+  }
+}
 
-      writeJSON(AGRO_FILE, merged);
-      fs.unlinkSync(req.file.path);
+// Rows that predate the workflow stay visible: they form one already-published program
+function ensureProgramsForLegacyRows() {
+  const rows = readJSON(AGRO_FILE);
+  const orphans = rows.filter((r) => !r.programId);
+  if (!orphans.length) return;
+  const programs = readJSON(PROGRAMS_FILE);
+  const legacy = {
+    id: allocateId(PROGRAMS_FILE),
+    year: null,
+    week: null,
+    farm: "",
+    title: "Legacy program (before approval workflow)",
+    revisionOf: null,
+    createdBy: "system",
+    createdAt: new Date().toISOString(),
+  };
+  appendProgramHistory(legacy, PROGRAM_STATUS.published, null, "migrated");
+  programs.push(legacy);
+  orphans.forEach((r) => (r.programId = legacy.id));
+  writeJSON(PROGRAMS_FILE, programs);
+  writeJSON(AGRO_FILE, rows);
+}
 
-      res.json({ success: true, count: importedData.length });
-    } catch (err) {
-      console.error("Import failed:", err);
-      res.status(500).json({ success: false, message: "Import failed" });
+// Program rows are keyed by ISO year + week. A row inside a dated program takes the program's
+// week; a row given a different week leaves its (draft) program so assignDraftPrograms re-files it.
+// Call after lockedRows and before validateSprayRows, which dates each spray from the row's week.
+function parseProgramWeek(year, week) {
+  const y = parseInt(year, 10);
+  const w = parseInt(week, 10);
+  if (isNaN(y) || isNaN(w) || w < 1 || w > 53) return null;
+  return { year: y, week: w };
+}
+
+function stampProgramWeek(rows, programs) {
+  rows.forEach((row) => {
+    const program = programs.find((p) => p.id === row.programId);
+    const given = parseProgramWeek(row.year, row.week);
+    if (program && program.year != null && (!given || (given.year === program.year && given.week === program.week))) {
+      row.year = program.year;
+      row.week = program.week;
+      return;
     }
+    if (program && given) delete row.programId;
+    const { year, week } = given || isoWeekOf(new Date());
+    row.year = year;
+    row.week = week;
+  });
+}
+
+// Rows stored before year/week existed pick them up from their (dated) program
+function ensureWeekOnProgramRows() {
+  const rows = readJSON(AGRO_FILE);
+  const programs = readJSON(PROGRAMS_FILE);
+  let changed = 0;
+  rows.forEach((row) => {
+    if (parseProgramWeek(row.year, row.week)) return;
+    const program = programs.find((p) => p.id === row.programId);
+    if (!program || program.year == null) return;
+    row.year = program.year;
+    row.week = program.week;
+    changed++;
+  });
+  if (changed) writeJSON(AGRO_FILE, rows);
+}
+
+// Week filters on program rows, read like the farm report's: weekRange "12-15" (or week "12")
+// and/or weekFrom / weekTo; a row matches when its week lies inside. Undated rows never match.
+function matchesProgramWeek(row, query = {}) {
+  const num = (v) => {
+    const n = parseInt(v, 10);
+    return isNaN(n) ? null : n;
+  };
+  let from = num(query.weekFrom);
+  let to = num(query.weekTo);
+  const { start, end } = parseWeekRange(query.weekRange || query.week || "");
+  if (!isNaN(start)) {
+    from = start;
+    to = end;
   }
-);
+  const year = num(query.year);
+  if (year === null && from === null && to === null) return true;
 
+  const rowWeek = parseProgramWeek(row.year, row.week);
+  if (!rowWeek) return false;
+  if (year !== null && rowWeek.year !== year) return false;
+  if (from !== null && rowWeek.week < from) return false;
+  if (to !== null && rowWeek.week > to) return false;
+  return true;
+}
 
+// The week after (year, week), rolling over 52/53-week years
+function nextProgramWeek(year, week) {
+  const monday = isoWeekMonday(year, week);
+  monday.setDate(monday.getDate() + 7);
+  return isoWeekOf(monday);
+}
 
-// ---------- AGRONOMIST SEARCH WITH FARM, GH, TIME ----------
-app.get(
-  "/agro/search",
-  requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
-  (req, res) => {
-    const { farm, gh, time, q } = req.query;
-    let rows = readJSON(AGRO_FILE);
+function programSummary(program, rows) {
+  return { ...program, rowCount: rows.filter((r) => r.programId === program.id).length };
+}
 
-    if (farm) rows = rows.filter(r => String(r.farm || "").toLowerCase().includes(farm.toLowerCase()));
-    if (gh) rows = rows.filter(r => String(r.gh || "").toLowerCase().includes(gh.toLowerCase()));
-    if (time) rows = rows.filter(r => String(r.time || "").toLowerCase().includes(time.toLowerCase()));
-    if (q) {
-      const qLower = q.toLowerCase();
-      rows = rows.filter(r => Object.values(r).some(v => String(v || "").toLowerCase().includes(qLower)));
-    }
+// Programs without a farm (the legacy one) span farms, so only unrestricted users may act on them
+function canAccessProgram(user, program) {
+  return String(program.farm ?? "").trim() ? canAccessFarm(user, program.farm) : !farmScope(user);
+}
 
-    rows.sort((a, b) => (b.id || 0) - (a.id || 0));
-    res.json(rows);
+function programForbidden(res, program) {
+  if (String(program.farm ?? "").trim()) return farmForbidden(res, [program.farm]);
+  return res.status(403).json({ success: false, message: `Program #${program.id} spans every farm; only users without a farm limit can change it` });
+}
+
+app.get(
+  "/programs",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const { status, year, week, farm } = req.query;
+    let programs = readJSON(PROGRAMS_FILE);
+    if (status) programs = programs.filter((p) => p.status === status);
+    if (year) programs = programs.filter((p) => String(p.year) === String(year));
+    if (week) programs = programs.filter((p) => String(p.week) === String(week));
+    if (farm) programs = programs.filter((p) => String(p.farm).toLowerCase() === String(farm).toLowerCase());
+    programs = programs.filter((p) => !String(p.farm ?? "").trim() || canAccessFarm(req.session.user, p.farm));
+    const rows = scopeToFarms(req.session.user, readJSON(AGRO_FILE));
+    programs.sort((a, b) => (b.id || 0) - (a.id || 0));
+    res.json(programs.map((p) => programSummary(p, rows)));
   }
 );
 
-// ---------- FARM REPORT ----------
-// Keep existing /farmreport routes unchanged (omitted here for brevity)
-// Include ensureCreatedAtForFarmReport() on startup
 app.get(
-  "/farmreport",
+  "/programs/:id",
   requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
   (req, res) => {
-    // return raw rows (createdAt preserved as ISO) — client will format for display
-    const rows = readJSON(FARM_REPORT_FILE);
-    res.json(rows);
+    const program = readJSON(PROGRAMS_FILE).find((p) => p.id === Number(req.params.id));
+    if (!program) return res.status(404).json({ success: false, message: "Not found" });
+    const isEditor = [ROLES.Agronomist, ROLES.GeneralManager].includes(req.session.user.role);
+    if (!isEditor && program.status !== PROGRAM_STATUS.published)
+      return res.status(404).json({ success: false, message: "Not found" });
+    if (String(program.farm ?? "").trim() && !canAccessFarm(req.session.user, program.farm))
+      return farmForbidden(res, [program.farm]);
+    const rows = scopeToFarms(req.session.user, readJSON(AGRO_FILE).filter((r) => r.programId === program.id));
+    res.json({ ...program, rows });
   }
 );
 
+// Start an empty draft for a week (rows are added through /agro/add etc. with its programId)
 app.post(
-  "/farmreport",
+  "/programs",
   requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
   (req, res) => {
-    const {
-      year,
-      weekRange, farm, greenhouse, bed, crop, variety, pest, disease,
-      pestRate, diseaseRate
-    } = req.body || {};
-    if (!weekRange || !farm || !greenhouse)
-      return res.status(400).json({ success: false, message: "weekRange, farm, greenhouse required" });
-
-    const rows = readJSON(FARM_REPORT_FILE);
-    const nextId = rows.reduce((m, r) => Math.max(m, r.id || 0), 0) + 1;
-    rows.push({
-      id: nextId,
-      year: String(year || ""),
-      weekRange: String(weekRange).trim(),
+    const { year, week, farm, title } = req.body || {};
+    const y = parseInt(year, 10);
+    const w = parseInt(week, 10);
+    if (isNaN(y) || isNaN(w) || w < 1 || w > 53)
+      return res.status(400).json({ success: false, message: "year and week (1-53) required" });
+    if (!String(farm ?? "").trim() && farmScope(req.session.user))
+      return res.status(400).json({ success: false, message: "farm required" });
+    if (!canAccessFarm(req.session.user, farm)) return farmForbidden(res, [farm]);
+    const programs = readJSON(PROGRAMS_FILE);
+    const program = {
+      id: allocateId(PROGRAMS_FILE),
+      year: y,
+      week: w,
       farm: String(farm || ""),
-      greenhouse: String(greenhouse || ""),
-      bed: String(bed || ""),
-      crop: String(crop || ""),
-      variety: String(variety || ""),
-      pest: String(pest || ""),
-      disease: String(disease || ""),
-      pestRate: Number(pestRate) || 0,
-      diseaseRate: Number(diseaseRate) || 0,
+      title: String(title || `Farm ${farm || "-"} week ${w}/${y}`),
+      revisionOf: null,
+      createdBy: req.session.user.username,
       createdAt: new Date().toISOString(),
-    });
-    writeJSON(FARM_REPORT_FILE, rows);
-    res.json({ success: true, id: nextId });
+    };
+    appendProgramHistory(program, PROGRAM_STATUS.draft, req.session.user);
+    programs.push(program);
+    writeJSON(PROGRAMS_FILE, programs);
+    res.json({ success: true, program });
   }
 );
 
-// helper to parse a "1-4" style range into {start,end}
-function parseWeekRange(weekRangeStr = "") {
-  const s = String(weekRangeStr || "").trim();
-  const parts = s.split("-");
-  if (parts.length === 2) {
-    const start = parseInt(parts[0], 10);
-    const end = parseInt(parts[1], 10);
-    if (!isNaN(start) && !isNaN(end)) return { start, end };
-  }
-  const single = parseInt(s, 10);
-  if (!isNaN(single)) return { start: single, end: single };
-  return { start: NaN, end: NaN };
-}
-// helper: format createdAt for display (Kenya time, short date+time)
-function formatCreatedAtForDisplay(ts) {
-  if (!ts) return "";
-  try {
-    return new Date(ts).toLocaleString("en-KE", {
-      dateStyle: "short",
-      timeStyle: "short",
-      timeZone: "Africa/Nairobi",
-      timeZoneName: "short",
-    });
-  } catch (e) {
-    return ts;
+// Copy a published/approved program into a new draft so it can be changed
+app.post(
+  "/programs/:id/revise",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const programs = readJSON(PROGRAMS_FILE);
+    const source = programs.find((p) => p.id === Number(req.params.id));
+    if (!source) return res.status(404).json({ success: false, message: "Not found" });
+    if (!canAccessProgram(req.session.user, source)) return programForbidden(res, source);
+    if (source.status === PROGRAM_STATUS.draft)
+      return res.status(409).json({ success: false, message: "Program is already a draft" });
+
+    const revision = {
+      id: allocateId(PROGRAMS_FILE),
+      year: source.year,
+      week: source.week,
+      farm: source.farm,
+      title: source.title,
+      revisionOf: source.id,
+      createdBy: req.session.user.username,
+      createdAt: new Date().toISOString(),
+    };
+    appendProgramHistory(revision, PROGRAM_STATUS.draft, req.session.user, `revision of #${source.id}`);
+    programs.push(revision);
+
+    const rows = readJSON(AGRO_FILE);
+    const copies = rows
+      .filter((r) => r.programId === source.id)
+      .map((r) => ({ ...r, id: allocateId(AGRO_FILE), programId: revision.id, revisionOfRow: r.id, supervisorRemarks: "" }));
+    rows.push(...copies);
+
+    writeJSON(PROGRAMS_FILE, programs);
+    writeAudited("agro", rows, req);
+    res.json({ success: true, program: revision, rows: copies.length });
   }
-}
+);
 
-// Reusable filter function for farm report queries
-function filterFarmRows(query = {}) {
-  const {
-    year,
-    weekFrom,
-    weekTo,
-    farm,
-    greenhouse,
-    bed,
-    crop,
-    variety,
-    pest,
-    disease,
-    pestRateMin,
-    pestRateMax,
-    diseaseRateMin,
-    diseaseRateMax,
-  } = query;
-
-  const wf = weekFrom !== undefined && weekFrom !== "" ? parseInt(weekFrom, 10) : null;
-  const wt = weekTo !== undefined && weekTo !== "" ? parseInt(weekTo, 10) : null;
+// Status transitions: action -> [allowed roles, from status, to status]
+const PROGRAM_TRANSITIONS = {
+  submit: [[ROLES.Agronomist, ROLES.GeneralManager], PROGRAM_STATUS.draft, PROGRAM_STATUS.submitted],
+  approve: [[ROLES.GeneralManager], PROGRAM_STATUS.submitted, PROGRAM_STATUS.approved],
+  reject: [[ROLES.GeneralManager], PROGRAM_STATUS.submitted, PROGRAM_STATUS.draft],
+  publish: [[ROLES.Agronomist, ROLES.GeneralManager], PROGRAM_STATUS.approved, PROGRAM_STATUS.published],
+};
 
-  const pMin = pestRateMin !== undefined && pestRateMin !== "" ? Number(pestRateMin) : null;
-  const pMax = pestRateMax !== undefined && pestRateMax !== "" ? Number(pestRateMax) : null;
-  const dMin = diseaseRateMin !== undefined && diseaseRateMin !== "" ? Number(diseaseRateMin) : null;
-  const dMax = diseaseRateMax !== undefined && diseaseRateMax !== "" ? Number(diseaseRateMax) : null;
+app.post(
+  "/programs/:id/:action(submit|approve|reject|publish)",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const [allowed, from, to] = PROGRAM_TRANSITIONS[req.params.action];
+    if (!allowed.includes(req.session.user.role))
+      return res.status(403).json({ success: false, message: "Forbidden" });
 
-  const rows = readJSON(FARM_REPORT_FILE);
+    const comment = String((req.body || {}).comment || "").trim();
+    if (req.params.action === "reject" && !comment)
+      return res.status(400).json({ success: false, message: "A comment is required when rejecting" });
 
-  const filtered = rows.filter(r => {
-    if (year && String(r.year || "").toLowerCase() !== String(year).toLowerCase()) return false;
+    const programs = readJSON(PROGRAMS_FILE);
+    const program = programs.find((p) => p.id === Number(req.params.id));
+    if (!program) return res.status(404).json({ success: false, message: "Not found" });
+    if (!canAccessProgram(req.session.user, program)) return programForbidden(res, program);
+    if (program.status !== from)
+      return res.status(409).json({ success: false, message: `Program is ${program.status}, expected ${from}` });
 
-    if (wf !== null || wt !== null) {
-      const { start, end } = parseWeekRange(r.weekRange);
-      const s = isNaN(start) ? null : start;
-      const e = isNaN(end) ? s : end;
-      if (s === null) return false;
+    if (req.params.action === "submit" && !readJSON(AGRO_FILE).some((r) => r.programId === program.id))
+      return res.status(400).json({ success: false, message: "Program has no rows" });
 
-      if (wf !== null && s < wf) return false;
-      if (wt !== null && e > wt) return false;
+    if (req.params.action === "publish") {
+      // The new program replaces whatever was live for the same week/farm (and what it revises)
+      programs
+        .filter(
+          (p) =>
+            p.id !== program.id &&
+            p.status === PROGRAM_STATUS.published &&
+            (p.id === program.revisionOf ||
+              (p.year === program.year && p.week === program.week && String(p.farm) === String(program.farm)))
+        )
+        .forEach((p) => {
+          appendProgramHistory(p, PROGRAM_STATUS.superseded, req.session.user, `superseded by #${program.id}`);
+          p.supersededBy = program.id;
+        });
     }
 
-    if (farm && String(r.farm || "").toLowerCase() !== String(farm).toLowerCase()) return false;
-    if (greenhouse && String(r.greenhouse || "").toLowerCase() !== String(greenhouse).toLowerCase()) return false;
-    if (bed && String(r.bed || "").toLowerCase() !== String(bed).toLowerCase()) return false;
-    if (crop && String(r.crop || "").toLowerCase() !== String(crop).toLowerCase()) return false;
-    if (variety && String(r.variety || "").toLowerCase() !== String(variety).toLowerCase()) return false;
-    if (pest && String(r.pest || "").toLowerCase() !== String(pest).toLowerCase()) return false;
-    if (disease && String(r.disease || "").toLowerCase() !== String(disease).toLowerCase()) return false;
+    appendProgramHistory(program, to, req.session.user, comment);
+    if (req.params.action === "reject") program.rejectionComment = comment;
+    writeJSON(PROGRAMS_FILE, programs);
+    res.json({ success: true, program });
+  }
+);
 
-    const pr = Number(r.pestRate) || 0;
-    const dr = Number(r.diseaseRate) || 0;
-    if (pMin !== null && pr < pMin) return false;
-    if (pMax !== null && pr > pMax) return false;
-    if (dMin !== null && dr < dMin) return false;
-    if (dMax !== null && dr > dMax) return false;
+// ---------- CHANGE HISTORY ----------
+// audit_log.json is append-only: one entry per row created / updated / deleted / reverted,
+// { id, entity, entityId, action, source, by, role, at, changes: [{ field, before, after }], snapshot }
+// where snapshot is the full row after the change (null for a delete).
+const AUDIT_ENTITIES = { agro: AGRO_FILE, farmreport: FARM_REPORT_FILE, scouting: SCOUTING_FILE };
 
-    return true;
+function diffFields(before, after) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys]
+    .filter((k) => JSON.stringify(before?.[k] ?? null) !== JSON.stringify(after?.[k] ?? null))
+    .map((k) => ({ field: k, before: before?.[k] ?? null, after: after?.[k] ?? null }));
+}
+
+// Offline clients send the row as they last saw it (base). Fields changed on the server since then,
+// other than those listed in ignore; null when nothing changed or no base was sent.
+function rowConflict(current, base, ignore = []) {
+  if (!base || typeof base !== "object") return null;
+  const changes = diffFields(base, current).filter((c) => !ignore.includes(c.field));
+  return changes.length ? changes : null;
+}
+
+function sendConflict(res, message, changes, current) {
+  return res.status(409).json({ success: false, conflict: true, message, changes, current });
+}
+
+// Drop-in for writeJSON on audited files: diffs against what is on disk, logs, then writes
+function writeAudited(entity, rows, req, extra = {}) {
+  const file = AUDIT_ENTITIES[entity];
+  const previous = new Map(readJSON(file).map((r) => [r.id, r]));
+
+  const entries = [];
+  rows.forEach((row) => {
+    const before = previous.get(row.id);
+    previous.delete(row.id);
+    const changes = diffFields(before, row);
+    if (!changes.length) return;
+    entries.push({
+      entityId: row.id,
+      action: extra.action || (before ? "update" : "create"),
+      changes,
+      snapshot: JSON.parse(JSON.stringify(row)),
+    });
+  });
+  previous.forEach((before, id) => {
+    entries.push({ entityId: id, action: "delete", changes: diffFields(before, null), snapshot: null });
   });
 
-  // newest first by createdAt if present; otherwise by id desc
-  filtered.sort((a, b) => {
-    const aT = a.createdAt ? new Date(a.createdAt).getTime() : 0;
-    const bT = b.createdAt ? new Date(b.createdAt).getTime() : 0;
-    if (aT !== bT) return bT - aT;
-    return (b.id || 0) - (a.id || 0);
+  appendAudit(entity, entries.map((e) => ({ ...e, ...(extra.revertedTo ? { revertedTo: extra.revertedTo } : {}) })), req);
+  writeJSON(file, rows);
+  return entries.length;
+}
+
+// Stamp entries with who / when / where from the request and append them to the log
+function appendAudit(entity, entries, req) {
+  if (!entries.length) return;
+  const log = readJSON(AUDIT_FILE);
+  const user = (req && req.session && req.session.user) || {};
+  const base = {
+    entity,
+    source: req ? `${req.method} ${req.path}` : "system",
+    by: user.username || "system",
+    role: user.role || "",
+    at: new Date().toISOString(),
+  };
+  entries.forEach((e) => log.push({ ...base, ...e, id: allocateId(AUDIT_FILE) }));
+  writeJSON(AUDIT_FILE, log);
+}
+
+// The row as it was just before an entry was applied
+function versionBefore(entry) {
+  if (entry.action === "create") return null;
+  const row = { ...(entry.snapshot || {}) };
+  entry.changes.forEach((c) => {
+    if (c.before === null) delete row[c.field];
+    else row[c.field] = c.before;
   });
+  return row;
+}
 
-  return filtered;
+app.get(
+  "/audit",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const { entity, entityId, by, from, to } = req.query;
+    let log = readJSON(AUDIT_FILE);
+    if (entity) log = log.filter((e) => e.entity === entity);
+    if (entityId) log = log.filter((e) => e.entityId === Number(entityId));
+    if (by) log = log.filter((e) => String(e.by).toLowerCase() === String(by).toLowerCase());
+    if (from) log = log.filter((e) => e.at.slice(0, 10) >= from);
+    if (to) log = log.filter((e) => e.at.slice(0, 10) <= to);
+    // Account, login and token events are for the GM; everyone else sees spray-program data only
+    if (req.session.user.role !== ROLES.GeneralManager) log = log.filter((e) => AUDIT_ENTITIES[e.entity]);
+    // Row history follows the farm the row was on at the time (a delete's from before it)
+    const rowEntries = scopeToFarms(req.session.user, log.filter((e) => AUDIT_ENTITIES[e.entity]).map((e) => ({ ...e, farm: auditFarm(e) })));
+    log = [...log.filter((e) => !AUDIT_ENTITIES[e.entity]), ...rowEntries].sort((a, b) => a.id - b.id);
+    const limit = Math.min(Number(req.query.limit) || 200, 1000);
+    // Newest first; snapshots are only needed on the per-row history view
+    res.json(log.slice(-limit).reverse().map(({ snapshot, ...e }) => e));
+  }
+);
+
+// Farm of the row an audit entry is about: after the change, or before it for a delete
+function auditFarm(entry) {
+  if (entry.snapshot) return entry.snapshot.farm;
+  const change = (entry.changes || []).find((c) => c.field === "farm");
+  return change ? change.before : undefined;
 }
 
-// /farmreport/search (existing filtering)
+// Full version history of one row, oldest first
 app.get(
-  "/farmreport/search",
-  requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  "/audit/:entity(agro|farmreport)/:id",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
   (req, res) => {
-    const filtered = filterFarmRows(req.query || {});
-    res.json(filtered);
+    const id = Number(req.params.id);
+    const history = readJSON(AUDIT_FILE).filter((e) => e.entity === req.params.entity && e.entityId === id);
+    const current = readJSON(AUDIT_ENTITIES[req.params.entity]).find((r) => r.id === id) || null;
+    if (!current && !history.length) return res.status(404).json({ success: false, message: "Not found" });
+    const farms = [current, ...history.map((e) => e.snapshot)].filter(Boolean).map((r) => r.farm);
+    if (farms.some((f) => !canAccessFarm(req.session.user, f))) return farmForbidden(res, farms.filter((f) => !canAccessFarm(req.session.user, f)));
+    res.json({ entity: req.params.entity, id, current, history });
   }
 );
 
-// /farmreport/charts already supports pest & disease and year/farm/greenhouse
+// Restore a row to the version recorded by an audit entry ({ auditId, side: "after" | "before" })
+app.post(
+  "/audit/:entity(agro|farmreport)/:id/revert",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const entity = req.params.entity;
+    const id = Number(req.params.id);
+    const { auditId, side } = req.body || {};
+    const entry = readJSON(AUDIT_FILE).find((e) => e.id === Number(auditId));
+    if (!entry || entry.entity !== entity || entry.entityId !== id)
+      return res.status(404).json({ success: false, message: "History entry not found for this row" });
+
+    const target = side === "before" ? versionBefore(entry) : entry.snapshot;
+    if (!target)
+      return res.status(400).json({ success: false, message: "The row did not exist at that point; nothing to restore" });
+
+    const rows = readJSON(AUDIT_ENTITIES[entity]);
+    const idx = rows.findIndex((r) => r.id === id);
+    const restored = { ...target, id };
+    const farms = [restored.farm, ...(idx === -1 ? [] : [rows[idx].farm])];
+    if (farms.some((f) => !canAccessFarm(req.session.user, f))) return farmForbidden(res, farms.filter((f) => !canAccessFarm(req.session.user, f)));
+
+    if (entity === "agro") {
+      // Program membership is workflow state, not row content
+      const current = idx === -1 ? null : rows[idx];
+      if (current) {
+        if (current.programId) restored.programId = current.programId;
+        else delete restored.programId;
+      }
+      const programs = readJSON(PROGRAMS_FILE);
+      if (lockedRows([restored], programs).length)
+        return res.status(409).json({ success: false, message: "That row's program is no longer a draft; revise it first" });
+      const merged = idx === -1 ? [...rows, restored] : rows.map((r, i) => (i === idx ? restored : r));
+      const { errors, warnings } = validateSprayRows([restored], merged);
+      if (errors.length)
+        return res.status(400).json({ success: false, message: errors[0].message, errors, warnings });
+      if (!restored.programId) {
+        assignDraftPrograms([restored], req.session.user, programs);
+        writeJSON(PROGRAMS_FILE, programs);
+      }
+      writeAudited(entity, merged, req, { action: "revert", revertedTo: entry.id });
+      return res.json({ success: true, row: restored, warnings });
+    }
+
+    if (idx === -1) rows.push(restored);
+    else rows[idx] = restored;
+    writeAudited(entity, rows, req, { action: "revert", revertedTo: entry.id });
+    res.json({ success: true, row: restored });
+  }
+);
+
+// ---------- AGRONOMIST DATA ----------
+
+// Get data (with optional filters)
 app.get(
-  "/farmreport/charts",
+  "/agro",
   requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
   (req, res) => {
-    const { year, farm, greenhouse, pest, disease } = req.query;
-    // we reuse the filter function to keep consistent behavior
-    const filtered = filterFarmRows({ year, farm, greenhouse, pest, disease });
-    // for charts, sort ascending by week start
-    filtered.sort((a, b) => {
-      const aW = parseWeekRange(a.weekRange).start || 0;
-      const bW = parseWeekRange(b.weekRange).start || 0;
-      return aW - bW;
+    const q = (req.query.q || "").trim().toLowerCase();
+    const farmFilter = (req.query.farm || "").trim().toLowerCase();
+    const ghFilter = (req.query.gh || "").trim().toLowerCase();
+    const timeFilter = (req.query.time || "").trim().toLowerCase();
+
+    const agroData = visibleAgroRows(req.session.user, readJSON(AGRO_FILE));
+
+    const filtered = agroData.filter(r => {
+      const values = Object.values(r).map(v => String(v).toLowerCase());
+      const textMatch = !q || values.some(v => v.includes(q));
+      const farmMatch = !farmFilter || (r.farm && r.farm.toLowerCase() === farmFilter);
+      const ghMatch = !ghFilter || (r.gh && r.gh.toLowerCase() === ghFilter);
+      const timeMatch = !timeFilter || (r.time && r.time.toLowerCase() === timeFilter);
+      return textMatch && farmMatch && ghMatch && timeMatch && matchesProgramWeek(r, req.query);
     });
+
     res.json(filtered);
   }
 );
 
-// NEW: Export farm report to Excel (supports same query params as /farmreport/search)
-// If no query params provided -> exports all rows
-app.get(
-  "/farmreport/export",
-  requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+// Add a single row
+app.post(
+  "/agro/add",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
   (req, res) => {
-    // re-use filtering
-    const filtered = filterFarmRows(req.query || []);
+    const rows = readJSON(AGRO_FILE);
+    const programs = readJSON(PROGRAMS_FILE);
+    // The id is always ours (a client id would overwrite the stored row with that id), and is
+    // only allocated once the row is accepted
+    const { id: _clientId, ...fields } = req.body || {};
+    const newRow = {
+      ...fields,
+      supervisorRemarks: ""
+    };
+    if (!canAccessFarm(req.session.user, newRow.farm)) return farmForbidden(res, [newRow.farm]);
+    if (lockedRows([newRow], programs).length)
+      return res.status(409).json({ success: false, message: "That program is no longer a draft; revise it first" });
+    stampProgramWeek([newRow], programs);
+    const { errors, warnings } = validateSprayRows([newRow], [...rows, newRow]);
+    const dosage = applyDosage([newRow]);
+    errors.push(...dosage.errors);
+    warnings.push(...dosage.warnings);
+    if (errors.length)
+      return res.status(400).json({ success: false, message: errors[0].message, errors, warnings });
+    assignDraftPrograms([newRow], req.session.user, programs);
+    newRow.id = allocateId(AGRO_FILE);
+    rows.push(newRow);
+    writeJSON(PROGRAMS_FILE, programs);
+    writeAudited("agro", rows, req);
+    res.json({ success: true, row: newRow, warnings });
+  }
+);
+// Safer Save (prevents overwriting full file with filtered results)
+app.post(
+  "/agro/save",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    try {
+      const newRows = req.body; // rows from frontend
+      if (!Array.isArray(newRows)) {
+        return res.status(400).json({ success: false, message: "Invalid data" });
+      }
 
-    // map rows to friendly columns for Excel, with CreatedAt in Kenya time
-    const excelRows = filtered.map(r => ({
-      ID: r.id || "",
-      Year: r.year || "",
-      WeekRange: r.weekRange || "",
-      Farm: r.farm || "",
-      Greenhouse: r.greenhouse || "",
-      Bed: r.bed || "",
-      Crop: r.crop || "",
-      Variety: r.variety || "",
-      Pest: r.pest || "",
-      Disease: r.disease || "",
-      PestRate: r.pestRate || 0,
-      DiseaseRate: r.diseaseRate || 0,
-      CreatedAt: r.createdAt ? formatCreatedAtForDisplay(r.createdAt) : "",
-      CreatedAtISO: r.createdAt || ""
-    }));
+      const existingRows = readJSON(AGRO_FILE);
 
-    // Build workbook
-    const ws = xlsx.utils.json_to_sheet(excelRows);
-    const wb = xlsx.utils.book_new();
-    xlsx.utils.book_append_sheet(wb, ws, "FarmReport");
+      let added = 0;
+      let duplicates = 0;
+      const addedRows = [];
 
-    const buf = xlsx.write(wb, { type: "buffer", bookType: "xlsx" });
+      newRows.forEach(row => {
+        const exists = existingRows.some(r =>
+          (row.id && r.id === row.id) ||
+          (
+            r.farm === row.farm &&
+            r.gh === row.gh &&
+            r.area === row.area &&
+            r.crop === row.crop &&
+            r.time === row.time
+          )
+        );
 
-    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
-    res.setHeader("Content-Disposition", "attachment; filename=farmreport_export.xlsx");
-    res.send(buf);
+        if (exists) {
+          duplicates++;
+        } else {
+          // New rows always get a fresh ID, whatever the client sent
+          row.id = allocateId(AGRO_FILE);
+          existingRows.push(row);
+          addedRows.push(row);
+          added++;
+        }
+      });
+
+      const denied = addedRows.filter((r) => !canAccessFarm(req.session.user, r.farm));
+      if (denied.length) return farmForbidden(res, denied.map((r) => r.farm));
+
+      const programs = readJSON(PROGRAMS_FILE);
+      if (lockedRows(addedRows, programs).length)
+        return res.status(409).json({ success: false, message: "Rows target a program that is no longer a draft; revise it first" });
+
+      stampProgramWeek(addedRows, programs);
+      const { errors, warnings } = validateSprayRows(addedRows, existingRows);
+      if (errors.length)
+        return res.status(400).json({ success: false, message: errors[0].message, errors, warnings });
+
+      assignDraftPrograms(addedRows, req.session.user, programs);
+      writeJSON(PROGRAMS_FILE, programs);
+      writeAudited("agro", existingRows, req);
+
+      res.json({
+        success: true,
+        added,
+        duplicates,
+        warnings,
+        message: duplicates
+          ? `${duplicates} rows already saved`
+          : `${added} new rows saved`
+      });
+    } catch (err) {
+      console.error("Save failed:", err);
+      res.status(500).json({ success: false, message: "Save failed" });
+    }
   }
 );
+
+
+// Bulk replace data (used for Excel import in JSON format)
+// Bulk replace data (used for Excel import in JSON format)
+app.post(
+  "/agro/bulk_set",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    try {
+      const newData = req.body;
+      if (!Array.isArray(newData)) {
+        return res.status(400).json({ success: false, message: "Invalid data" });
+      }
+
+      const existing = readJSON(AGRO_FILE);
+
+      const merged = [...existing];
+      const changed = [];
+      const changedFrom = []; // stored versions of edited rows: a row can't be moved out of a locked program either
+      const denied = [];
+
+      newData.forEach((row) => {
+        // A tank mix sent as a list replaces the stored text too, not just the list
+        DAYS.filter(d => Array.isArray(row[`${d}_mix`]) && row[`${d}_chemical`] === undefined)
+          .forEach(d => setTankMix(row, d, tankMixOf(row, d)));
+
+        // Find existing by ID
+        const idx = merged.findIndex(r => r.id === row.id);
+        // A row may neither come from nor move to a farm outside the user's scope
+        const farms = [row.farm ?? (idx === -1 ? "" : merged[idx].farm)];
+        if (idx !== -1) farms.push(merged[idx].farm);
+        denied.push(...farms.filter((f) => !canAccessFarm(req.session.user, f)));
+
+        if (idx !== -1) {
+          // Merge, preserving supervisorRemarks if not provided
+          const before = merged[idx];
+          merged[idx] = {
+            ...merged[idx],
+            ...row,
+            supervisorRemarks: row.supervisorRemarks ?? merged[idx].supervisorRemarks ?? ""
+          };
+          // supervisorRemarks belong to the field, not the program, so they don't count as an edit
+          const text = v => (v && typeof v === "object" ? JSON.stringify(v) : String(v ?? ""));
+          const edited = Object.keys(row).some(k =>
+            k !== "supervisorRemarks" && text(row[k]) !== text(before[k])
+          );
+          if (edited) {
+            changed.push(merged[idx]);
+            changedFrom.push(before);
+          }
+        } else {
+          // New row: an ID that matches nothing on file is not the client's to choose
+          row.id = allocateId(AGRO_FILE);
+          if (!row.supervisorRemarks) row.supervisorRemarks = "";
+          merged.push(row);
+          changed.push(row);
+        }
+      });
+
+      if (denied.length) return farmForbidden(res, denied);
+
+      // Published / submitted programs can't be edited in place
+      const programs = readJSON(PROGRAMS_FILE);
+      const locked = [...new Set(lockedRows([...changed, ...changedFrom], programs).map(r => r.id))];
+      if (locked.length)
+        return res.status(409).json({
+          success: false,
+          message: `Rows ${locked.join(", ")} belong to a program that is no longer a draft; revise it first`,
+          locked
+        });
+
+      // Only rows touched by this save are validated, so legacy rows don't block it
+      stampProgramWeek(changed, programs);
+      const { errors, warnings } = validateSprayRows(changed, merged);
+      if (errors.length)
+        return res.status(400).json({ success: false, message: errors[0].message, errors, warnings });
+
+      assignDraftPrograms(changed, req.session.user, programs);
+      writeJSON(PROGRAMS_FILE, programs);
+
+      // Save merged data
+      writeAudited("agro", merged, req);
+      res.json({ success: true, count: newData.length, warnings });
+    } catch (err) {
+      console.error("Bulk set failed:", err);
+      res.status(500).json({ success: false, message: "Server error" });
+    }
+  }
+);
+
+
+
+// Copy a week's program into a new draft for another week (default: the next one).
+// Body: { year, week, farm?, programId?, toYear?, toWeek?, exclude?: [rowId], edits?: { [rowId]: {...} } }
+// Without programId the source is, per farm, the week's published program (else its newest draft).
+app.post(
+  "/agro/copy-forward",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const { farm, programId, exclude = [], edits = {} } = req.body || {};
+    const programs = readJSON(PROGRAMS_FILE);
+    const rows = readJSON(AGRO_FILE);
+
+    let sourcePrograms;
+    let from;
+    if (programId) {
+      const program = programs.find((p) => p.id === Number(programId));
+      if (!program) return res.status(404).json({ success: false, message: "Program not found" });
+      if (!canAccessProgram(req.session.user, program)) return programForbidden(res, program);
+      from = parseProgramWeek(program.year, program.week);
+      if (!from) return res.status(400).json({ success: false, message: "That program has no week to copy from" });
+      sourcePrograms = [program];
+    } else {
+      from = parseProgramWeek(req.body.year, req.body.week);
+      if (!from) return res.status(400).json({ success: false, message: "year and week (1-53) required" });
+      const candidates = programs.filter(
+        (p) =>
+          p.year === from.year &&
+          p.week === from.week &&
+          p.status !== PROGRAM_STATUS.superseded &&
+          (!farm || String(p.farm).toLowerCase() === String(farm).toLowerCase()) &&
+          canAccessProgram(req.session.user, p)
+      );
+      const byFarm = {};
+      candidates.forEach((p) => {
+        const cur = byFarm[p.farm];
+        const better =
+          !cur ||
+          (p.status === PROGRAM_STATUS.published) > (cur.status === PROGRAM_STATUS.published) ||
+          ((p.status === PROGRAM_STATUS.published) === (cur.status === PROGRAM_STATUS.published) && p.id > cur.id);
+        if (better) byFarm[p.farm] = p;
+      });
+      sourcePrograms = Object.values(byFarm);
+    }
+
+    const to = req.body.toYear || req.body.toWeek
+      ? parseProgramWeek(req.body.toYear, req.body.toWeek)
+      : nextProgramWeek(from.year, from.week);
+    if (!to) return res.status(400).json({ success: false, message: "toYear and toWeek (1-53) required" });
+    if (to.year === from.year && to.week === from.week)
+      return res.status(400).json({ success: false, message: "Target week is the same as the source week" });
+
+    const skip = new Set((Array.isArray(exclude) ? exclude : []).map(Number));
+    const sourceIds = new Set(sourcePrograms.map((p) => p.id));
+    const source = rows.filter((r) => sourceIds.has(r.programId) && !skip.has(r.id));
+    if (!source.length) return res.status(404).json({ success: false, message: `Nothing to copy in week ${from.week}/${from.year}` });
+
+    const already = source.filter((r) => rows.some((c) => c.copiedFromRow === r.id && c.year === to.year && c.week === to.week));
+    if (already.length)
+      return res.status(409).json({
+        success: false,
+        message: `Rows ${already.map((r) => r.id).join(", ")} were already copied to week ${to.week}/${to.year}`,
+      });
+
+    const copies = source.map((r) => {
+      const { programId: _p, revisionOfRow: _r, ...fields } = r;
+      const { id: _i, programId: _ep, year: _y, week: _w, ...edit } = edits[r.id] || {};
+      return {
+        ...fields,
+        ...edit,
+        id: allocateId(AGRO_FILE),
+        year: to.year,
+        week: to.week,
+        copiedFromRow: r.id,
+        supervisorRemarks: "",
+      };
+    });
+    const denied = copies.filter((r) => !canAccessFarm(req.session.user, r.farm));
+    if (denied.length) return farmForbidden(res, denied.map((r) => r.farm));
+
+    const { errors, warnings } = validateSprayRows(copies, [...rows, ...copies]);
+    const dosage = applyDosage(copies);
+    errors.push(...dosage.errors);
+    warnings.push(...dosage.warnings);
+    if (errors.length)
+      return res.status(400).json({ success: false, message: errors[0].message, errors, warnings });
+
+    assignDraftPrograms(copies, req.session.user, programs);
+    rows.push(...copies);
+    writeJSON(PROGRAMS_FILE, programs);
+    writeAudited("agro", rows, req);
+    res.json({
+      success: true,
+      year: to.year,
+      week: to.week,
+      rows: copies.length,
+      programIds: [...new Set(copies.map((r) => r.programId))],
+      warnings,
+    });
+  }
+);
+
+// Supervisor remarks
+app.post(
+  "/agro/supervisor-remarks",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const { id, supervisorRemarks, base, force } = req.body || {};
+    if (!id) return res.status(400).json({ success: false, message: "Missing id" });
+    const rows = readJSON(AGRO_FILE);
+    const idx = rows.findIndex((r) => r.id === Number(id));
+    if (idx === -1) return res.status(404).json({ success: false, message: "Not found" });
+    if (!canAccessFarm(req.session.user, rows[idx].farm)) return farmForbidden(res, [rows[idx].farm]);
+    // A resent remark that already landed is not a conflict with itself
+    if ((rows[idx].supervisorRemarks || "") === (supervisorRemarks || "")) return res.json({ success: true });
+    const changes = force ? null : rowConflict(rows[idx], base);
+    if (changes) return sendConflict(res, `Row ${id} was changed on the server after you loaded it`, changes, rows[idx]);
+    rows[idx].supervisorRemarks = supervisorRemarks || "";
+    writeAudited("agro", rows, req);
+    res.json({ success: true });
+  }
+);
+
+// Reusable filter for agro queries (/agro/search and the reports built on it)
+function searchAgroRows(query = {}) {
+  const { farm, gh, time, q } = query;
+  let rows = readJSON(AGRO_FILE).filter(r => matchesProgramWeek(r, query));
+
+  if (farm) rows = rows.filter(r => String(r.farm || "").toLowerCase().includes(String(farm).toLowerCase()));
+  if (gh) rows = rows.filter(r => String(r.gh || "").toLowerCase().includes(String(gh).toLowerCase()));
+  if (time) rows = rows.filter(r => String(r.time || "").toLowerCase().includes(String(time).toLowerCase()));
+  if (q) {
+    const qLower = String(q).toLowerCase();
+    rows = rows.filter(r => Object.values(r).some(v => String(v || "").toLowerCase().includes(qLower)));
+  }
+
+  rows.sort((a, b) => (b.id || 0) - (a.id || 0));
+  return rows;
+}
+
+// Search with filters
+app.get(
+  "/agro/search",
+  requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    res.json(visibleAgroRows(req.session.user, searchAgroRows(req.query || {})));
+  }
+);
+
+
+// Excel export/import
+const upload = multer({ dest: "uploads/" });
+
+// Excel export (supports .xlsx and .xlsm)
+app.get(
+  "/agro/export",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager, ROLES.Supervisor, ROLES.Viewer]),
+  (req, res) => {
+    try {
+      const rows = visibleAgroRows(req.session.user, readJSON(AGRO_FILE)).filter(r => matchesProgramWeek(r, req.query));
+      // Tank mixes travel as their "A + B" text columns; the structured copy would not survive a cell
+      const ws = xlsx.utils.json_to_sheet(
+        rows.map(r => Object.fromEntries(Object.entries(r).filter(([k]) => !DAYS.some(d => k === `${d}_mix`))))
+      );
+      const wb = xlsx.utils.book_new();
+      xlsx.utils.book_append_sheet(wb, ws, "AgroData");
+
+      // Decide file extension from query (default = xlsx)
+      const ext = (req.query.ext || "xlsx").toLowerCase();
+      const filename = `agro_export.${ext}`;
+
+      // Write workbook to temp file
+      const tmpPath = path.join(__dirname, filename);
+      xlsx.writeFile(wb, tmpPath, { bookType: ext === "xlsm" ? "xlsm" : "xlsx" });
+
+      res.download(tmpPath, filename, err => {
+        fs.unlink(tmpPath, () => {}); // cleanup
+        if (err) console.error("Download error:", err);
+      });
+    } catch (err) {
+      console.error("Export failed:", err);
+      res.status(500).json({ success: false, message: "Export failed" });
+    }
+  }
+);
+
+// ---- Import pipeline: preview -> (edit mapping) -> dry run -> commit ----
+// The upload is parsed once and staged in memory under an importId; the client edits the
+// column mapping per sheet and asks for a dry run (per-row errors plus a new / updated /
+// duplicate diff) before committing. Every sheet can be imported, e.g. one per farm.
+const IMPORT_TTL_MS = 60 * 60 * 1000;
+const IMPORT_SAMPLE_ROWS = 5;
+const stagedImports = new Map();
+
+// Header spellings are compared with everything but letters and digits stripped
+const importHeaderKey = (h) =>
+  String(h ?? "").replace(/([a-z])([A-Z])/g, "$1 $2").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const AGRO_IMPORT_COLUMNS = {
+  id: ["id", "rowid", "identifier"],
+  year: ["year", "isoyear"],
+  week: ["week", "isoweek", "wk", "weekno"],
+  farm: ["farm", "farmno", "farmname", "farmcode"],
+  gh: ["gh", "ghno", "greenhouse", "greenhouseno", "block"],
+  bed: ["bed", "beds"],
+  area: ["area", "aream2", "aream", "sqm"],
+  crop: ["crop"],
+  variety: ["variety", "varieties", "var", "cultivar"],
+  mode: ["mode", "applicationmode"],
+  method: ["method", "applicationmethod", "sprayer"],
+  time: ["time", "spraytime", "timing"],
+  target: ["target", "targetpest", "pest", "disease", "pestdisease"],
+  justification: ["justification", "reason"],
+  morning: ["morning"],
+  evening: ["evening"],
+  preparedBy: ["preparedby", "prepared", "author"],
+  agronomistRemarks: ["agronomistremarks", "agronomistremark", "remarks", "comments"],
+  supervisorRemarks: ["supervisorremarks", "supervisorremark"],
+  harvestDate: ["harvestdate", "harvest"],
+};
+const DAY_NAMES = { mon: "monday", tue: "tuesday", wed: "wednesday", thu: "thursday", fri: "friday", sat: "saturday", sun: "sunday" };
+const DAY_HEADER = /^(monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun)(.*)$/;
+const DAY_SUBFIELDS = [
+  ["rate", /^rate/],
+  ["vol", /^(vol|water)/],
+  ["chemical", /^(chemical|chem|product)/],
+  ["area", /^area/],
+  ["mode", /^(mode|method)/],
+];
+const NUMERIC_IMPORT_FIELDS = ["area", ...DAYS.flatMap((d) => [`${d}_rate`, `${d}_vol`, `${d}_area`])];
+
+const AGRO_IMPORT_FIELDS = [
+  ...Object.keys(AGRO_IMPORT_COLUMNS),
+  ...DAYS.flatMap((d) => [d, ...DAY_SUBFIELDS.map(([f]) => `${d}_${f}`)]),
+];
+
+function suggestImportField(header) {
+  const key = importHeaderKey(header);
+  if (!key) return "";
+  const base = Object.keys(AGRO_IMPORT_COLUMNS).find((f) => AGRO_IMPORT_COLUMNS[f].includes(key));
+  if (base) return base;
+  const m = key.match(DAY_HEADER);
+  if (!m) return "";
+  const day = DAYS.find((d) => m[1].startsWith(d));
+  if (!m[2]) return day;
+  const sub = DAY_SUBFIELDS.find(([, re]) => re.test(m[2]));
+  return sub ? `${day}_${sub[0]}` : "";
+}
+
+// One text value per cell: dates as YYYY-MM-DD, Excel times (day 0) as HH:MM
+function importCellText(v) {
+  if (v instanceof Date) {
+    if (v.getFullYear() < 1901) return `${String(v.getHours()).padStart(2, "0")}:${String(v.getMinutes()).padStart(2, "0")}`;
+    return localDateText(v);
+  }
+  return String(v ?? "").trim();
+}
+
+function readImportWorkbook(file) {
+  const ext = path.extname(file.originalname || "").toLowerCase();
+  // CSV cells stay text, so 03/04/2026 is not guessed as a US date
+  const wb = ext === ".csv" || ext === ".txt"
+    ? xlsx.read(fs.readFileSync(file.path, "utf8"), { type: "string", raw: true })
+    : xlsx.readFile(file.path, { cellDates: true });
+  return wb.SheetNames.map((name) => {
+    const grid = xlsx.utils.sheet_to_json(wb.Sheets[name], { header: 1, defval: "", blankrows: true, raw: true });
+    const headers = (grid[0] || []).map(importCellText);
+    const rows = grid.slice(1).map((r) => headers.map((_, c) => importCellText(r[c])));
+    return { name, headers, rows };
+  }).filter((s) => s.headers.some(Boolean));
+}
+
+// A sheet called "Farm 17" or "17" suggests the farm for rows that leave it blank
+function suggestSheetFarm(name) {
+  const m = String(name).trim().match(/^(?:farm\s*[-#:.]?\s*)?(\w+)$/i);
+  return m && (/^farm/i.test(name.trim()) || /^\d+$/.test(m[1])) ? m[1] : "";
+}
+
+function suggestImportSheet(sheet) {
+  const mapping = sheet.headers.map(suggestImportField);
+  // A field seen twice keeps its first column
+  mapping.forEach((f, i) => { if (f && mapping.indexOf(f) < i) mapping[i] = ""; });
+  return {
+    name: sheet.name,
+    include: true,
+    farm: mapping.includes("farm") ? "" : suggestSheetFarm(sheet.name),
+    mapping,
+  };
+}
+
+function getStagedImport(importId, user) {
+  const now = Date.now();
+  for (const [id, s] of stagedImports) if (s.expiresAt < now) stagedImports.delete(id);
+  const staged = stagedImports.get(String(importId || ""));
+  return staged && staged.username === user.username ? staged : null;
+}
+
+const importKeyText = (k, v) => (k === "farm" || k === "gh" || k === "bed" ? siteCode(v) : String(v ?? "").trim().toLowerCase());
+
+// Works out what committing `specs` would do, without writing anything. Returns
+// { lines, summary, candidates, merged }: one line per non-blank sheet row with its status
+// (new | updated | duplicate), changes and errors / warnings; candidates are the rows that would be
+// written (new ones carry a temporary negative id) and merged the whole table afterwards.
+function planAgroImport(staged, specs, existingRows, programs, user = null) {
+  const specErrors = [];
+  const lines = [];
+  const byId = new Map();
+  const newRecords = [];
+  let tempId = 0;
+
+  for (const spec of specs) {
+    const sheet = staged.sheets.find((s) => s.name === spec.name);
+    if (!sheet) { specErrors.push(`No sheet called "${spec.name}" in ${staged.fileName}`); continue; }
+    if (spec.include === false) continue;
+    const mapping = Array.isArray(spec.mapping) ? spec.mapping.map((f) => String(f || "")) : [];
+    const unknown = mapping.filter((f) => f && !AGRO_IMPORT_FIELDS.includes(f));
+    if (unknown.length) { specErrors.push(`Sheet ${sheet.name}: unknown field(s) ${unknown.join(", ")}`); continue; }
+    const twice = mapping.find((f, i) => f && mapping.indexOf(f) !== i);
+    if (twice) { specErrors.push(`Sheet ${sheet.name}: more than one column is mapped to ${twice}`); continue; }
+    const sheetFarm = String(spec.farm || "").trim();
+
+    sheet.rows.forEach((cells, i) => {
+      if (cells.every((v) => v === "")) return;
+      const line = { sheet: sheet.name, row: i + 2, status: "new", id: null, changes: [], errors: [], warnings: [] };
+      const record = {};
+      mapping.forEach((f, c) => { if (f && cells[c] !== "" && cells[c] !== undefined) record[f] = cells[c]; });
+      if (!record.farm && sheetFarm) record.farm = sheetFarm;
+      let base = null;
+      if ("id" in record) {
+        const id = Number(record.id);
+        base = Number.isInteger(id) ? existingRows.find((r) => r.id === id) : null;
+        if (!base) line.warnings.push({ field: "id", message: `No row with id ${record.id}; it will be added as a new row` });
+        delete record.id;
+      }
+      const fail = (field, message) => line.errors.push({ field, message });
+      // On existing rows only the values this file changes are checked, so old data doesn't block an update
+      const changed = (f) => !base || String(record[f] ?? base[f] ?? "") !== String(base[f] ?? "");
+      const value = (f) => record[f] ?? (base ? base[f] : undefined);
+
+      if (!value("farm")) fail("farm", "Farm is missing");
+      [...new Set([value("farm"), base && base.farm])].filter((f) => f && !canAccessFarm(user, f))
+        .forEach((f) => fail("farm", `You don't have access to farm ${f}`));
+      if (!value("gh") && changed("gh")) fail("gh", "GH is missing");
+      if ((changed("year") || changed("week")) && ("year" in record || "week" in record) && !parseProgramWeek(value("year"), value("week")))
+        fail("week", `Year ${value("year") ?? "?"} / week ${value("week") ?? "?"} is not a valid ISO week`);
+      NUMERIC_IMPORT_FIELDS.forEach((f) => {
+        if (f in record && changed(f) && isNaN(parseFloat(String(record[f]).replace(",", "."))))
+          fail(f, `${f} "${record[f]}" is not a number`);
+      });
+      if (record.harvestDate && changed("harvestDate") && isNaN(new Date(record.harvestDate)))
+        fail("harvestDate", `Harvest date "${record.harvestDate}" is not a date`);
+
+      lines.push(line);
+
+      if (base) {
+        const row = { ...base, ...record, id: base.id, supervisorRemarks: base.supervisorRemarks ?? "" };
+        line.id = base.id;
+        line.changes = diffFields(base, row).filter((c) => String(c.before ?? "") !== String(c.after ?? ""));
+        if (!line.changes.length) line.status = "duplicate";
+        else {
+          line.status = "updated";
+          if (byId.has(base.id)) fail("id", `Row ${base.id} is updated more than once in this file`);
+          if (lockedRows([base], programs).length)
+            fail("id", `Row ${base.id} belongs to a program that is no longer a draft; revise it first`);
+          if (!line.errors.length) byId.set(base.id, { line, row });
+        }
+        return;
+      }
+
+      const keys = Object.keys(record).filter((k) => k !== "supervisorRemarks");
+      const same = (r) => keys.every((k) => importKeyText(k, r[k]) === importKeyText(k, record[k]));
+      const dup = existingRows.find(same);
+      if (dup || newRecords.some((n) => same(n.record))) {
+        line.status = "duplicate";
+        line.id = dup ? dup.id : null;
+        return;
+      }
+      const row = {
+        ...Object.fromEntries(AGRO_IMPORT_FIELDS.filter((f) => f !== "id").map((f) => [f, ""])),
+        ...record,
+        id: --tempId,
+        supervisorRemarks: record.supervisorRemarks || "",
+      };
+      if (!line.errors.length) newRecords.push({ line, row, record });
+    });
+  }
+
+  const updated = [...byId.values()];
+  const candidates = [...updated, ...newRecords].map((x) => x.row);
+  const lineFor = new Map([...updated, ...newRecords].map((x) => [x.row.id, x.line]));
+  const merged = existingRows.map((r) => (byId.has(r.id) ? byId.get(r.id).row : r)).concat(newRecords.map((x) => x.row));
+
+  stampProgramWeek(candidates, programs);
+  const { errors, warnings } = validateSprayRows(candidates, merged);
+  const dosage = applyDosage(candidates);
+  [...errors, ...dosage.errors].forEach((e) => lineFor.get(e.id)?.errors.push({ field: e.field || e.day || "", message: e.day ? `${e.day}: ${e.message}` : e.message }));
+  [...warnings, ...dosage.warnings].forEach((w) => lineFor.get(w.id)?.warnings.push({ field: w.day || "", message: w.day ? `${w.day}: ${w.message}` : w.message }));
+
+  const summary = { rows: lines.length, new: 0, updated: 0, duplicate: 0, invalid: 0 };
+  lines.forEach((l) => {
+    if (l.errors.length) summary.invalid++;
+    else summary[l.status]++;
+  });
+  return { specErrors, lines, summary, candidates, merged, lineFor, existingRows };
+}
+
+// Writes the plan's rows that passed; rows with errors keep what is on disk (updates) or are
+// left out (new). New rows get their real ids here.
+function commitAgroImport(plan, programs, req) {
+  const failed = new Set(plan.candidates.filter((r) => plan.lineFor.get(r.id).errors.length).map((r) => r.id));
+  const valid = plan.candidates.filter((r) => !failed.has(r.id));
+  const onDisk = new Map(plan.existingRows.map((r) => [r.id, r]));
+  const merged = plan.merged
+    .filter((r) => !(r.id < 0 && failed.has(r.id)))
+    .map((r) => (failed.has(r.id) ? onDisk.get(r.id) : r));
+  valid.forEach((r) => {
+    if (r.id > 0) return;
+    const line = plan.lineFor.get(r.id);
+    r.id = allocateId(AGRO_FILE);
+    line.id = r.id;
+  });
+  assignDraftPrograms(valid, req.session.user, programs);
+  writeJSON(PROGRAMS_FILE, programs);
+  writeAudited("agro", merged, req);
+  return valid;
+}
+
+// Step 1: upload. Returns every sheet with its headers, the suggested mapping and a few sample rows.
+app.post(
+  "/agro/import/preview",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  upload.single("file"),
+  inTransaction, // the upload finishes asynchronously, after the app-level transaction
+  (req, res) => {
+    if (!req.file) return res.status(400).json({ success: false, message: "No file uploaded" });
+    let sheets;
+    try {
+      sheets = readImportWorkbook(req.file);
+    } catch (err) {
+      console.error("Import preview failed:", err);
+      return res.status(400).json({ success: false, message: "The file could not be read as a spreadsheet" });
+    } finally {
+      fs.unlink(req.file.path, () => {});
+    }
+    if (!sheets.length) return res.status(400).json({ success: false, message: "The file has no sheets with a header row" });
+
+    const importId = crypto.randomBytes(12).toString("hex");
+    stagedImports.set(importId, {
+      username: req.session.user.username,
+      fileName: req.file.originalname,
+      sheets,
+      expiresAt: Date.now() + IMPORT_TTL_MS,
+    });
+    res.json({
+      success: true,
+      importId,
+      fileName: req.file.originalname,
+      fields: AGRO_IMPORT_FIELDS,
+      sheets: sheets.map((s) => ({
+        ...suggestImportSheet(s),
+        headers: s.headers,
+        rows: s.rows.filter((r) => r.some((v) => v !== "")).length,
+        sample: s.rows.filter((r) => r.some((v) => v !== "")).slice(0, IMPORT_SAMPLE_ROWS),
+      })),
+    });
+  }
+);
+
+// Body for dry-run and commit: { importId, sheets: [{ name, include, farm, mapping: [field per column] }] }
+function planFromRequest(req, res) {
+  const { importId, sheets } = req.body || {};
+  const staged = getStagedImport(importId, req.session.user);
+  if (!staged) {
+    res.status(404).json({ success: false, message: "Import not found or expired; upload the file again" });
+    return null;
+  }
+  if (!Array.isArray(sheets) || !sheets.length) {
+    res.status(400).json({ success: false, message: "sheets required" });
+    return null;
+  }
+  const programs = readJSON(PROGRAMS_FILE);
+  const plan = planAgroImport(staged, sheets, readJSON(AGRO_FILE), programs, req.session.user);
+  if (plan.specErrors.length) {
+    res.status(400).json({ success: false, message: plan.specErrors[0], errors: plan.specErrors });
+    return null;
+  }
+  return { staged, plan, programs };
+}
+
+const importReport = (plan) => ({ summary: plan.summary, lines: plan.lines });
+
+// Step 2: what a commit would do, row by row. Writes nothing.
+app.post(
+  "/agro/import/dry-run",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const ctx = planFromRequest(req, res);
+    if (!ctx) return;
+    res.json({ success: true, ...importReport(ctx.plan) });
+  }
+);
+
+// Step 3: same body as the dry run, plus skipInvalid to import the rows that passed
+// when others have errors.
+app.post(
+  "/agro/import/commit",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const ctx = planFromRequest(req, res);
+    if (!ctx) return;
+    const { plan, programs } = ctx;
+    if (plan.summary.invalid && !req.body.skipInvalid)
+      return res.status(400).json({ success: false, message: `${plan.summary.invalid} row(s) have errors`, ...importReport(plan) });
+    if (!plan.summary.new && !plan.summary.updated)
+      return res.status(400).json({ success: false, message: "Nothing to import: every row is a duplicate or has errors", ...importReport(plan) });
+
+    commitAgroImport(plan, programs, req);
+    stagedImports.delete(req.body.importId);
+    res.json({
+      success: true,
+      added: plan.summary.new,
+      updated: plan.summary.updated,
+      duplicates: plan.summary.duplicate,
+      skipped: plan.summary.invalid,
+      ...importReport(plan),
+    });
+  }
+);
+
+// One-shot import with the suggested mapping for every sheet (scripts and older clients)
+app.post(
+  "/agro/import",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  upload.single("file"),
+  inTransaction, // the upload finishes asynchronously, after the app-level transaction
+  (req, res) => {
+    if (!req.file) return res.status(400).json({ success: false, message: "No file uploaded" });
+    let sheets;
+    try {
+      sheets = readImportWorkbook(req.file);
+    } catch (err) {
+      console.error("Import failed:", err);
+      return res.status(400).json({ success: false, message: "The file could not be read as a spreadsheet" });
+    } finally {
+      fs.unlink(req.file.path, () => {});
+    }
+
+    const programs = readJSON(PROGRAMS_FILE);
+    const plan = planAgroImport({ fileName: req.file.originalname, sheets }, sheets.map(suggestImportSheet), readJSON(AGRO_FILE), programs, req.session.user);
+    const warnings = plan.lines.flatMap((l) => l.warnings.map((w) => ({ sheet: l.sheet, row: l.row, ...w })));
+    if (plan.summary.invalid) {
+      const errors = plan.lines.flatMap((l) => l.errors.map((e) => ({ sheet: l.sheet, row: l.row, ...e })));
+      return res.status(400).json({ success: false, message: `${plan.summary.invalid} row(s) failed validation`, errors, warnings });
+    }
+    const written = commitAgroImport(plan, programs, req);
+    res.json({ success: true, count: written.length, duplicates: plan.summary.duplicate, warnings });
+  }
+);
+
+
+// ---------- SPRAY EXECUTION LOG ----------
+// One record per program row + day: { id, agroId, day, farm, gh, planned: {...}, actual: {...},
+// startTime, endTime, sprayDate, operators: [{ payrollNumber, hours, ppe }], operatorPayroll (first operator),
+// status: "done" | "skipped" | "rescheduled", reason, ... }
+const EXECUTION_STATUSES = ["done", "skipped", "rescheduled"];
+
+function plannedForDay(row, day) {
+  return {
+    chemical: String(row[`${day}_chemical`] || ""),
+    rate: String(row[`${day}_rate`] || ""),
+    vol: String(row[`${day}_vol`] || ""),
+    area: String(row[`${day}_area`] || row.area || ""),
+  };
+}
+
+app.get(
+  "/agro/executions",
+  requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const { agroId, farm, gh, status, from, to } = req.query;
+    let rows = scopeToFarms(req.session.user, readJSON(EXECUTIONS_FILE));
+    if (agroId) rows = rows.filter((e) => e.agroId === Number(agroId));
+    if (farm) rows = rows.filter((e) => String(e.farm).toLowerCase() === String(farm).toLowerCase());
+    if (gh) rows = rows.filter((e) => String(e.gh).toLowerCase() === String(gh).toLowerCase());
+    if (status) rows = rows.filter((e) => e.status === status);
+    if (from) rows = rows.filter((e) => String(e.startTime || e.createdAt) >= from);
+    if (to) rows = rows.filter((e) => String(e.startTime || e.createdAt).slice(0, 10) <= to);
+    rows.sort((a, b) => (b.id || 0) - (a.id || 0));
+    res.json(rows);
+  }
+);
+
+// Record (or correct) what actually happened for a row/day
+app.post(
+  "/agro/executions",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const body = req.body || {};
+    const day = String(body.day || "");
+    const status = String(body.status || "");
+    if (!body.agroId || !DAYS.includes(day))
+      return res.status(400).json({ success: false, message: "agroId and day (mon..sun) required" });
+    if (!EXECUTION_STATUSES.includes(status))
+      return res.status(400).json({ success: false, message: `status must be one of ${EXECUTION_STATUSES.join(", ")}` });
+    if (status !== "done" && !String(body.reason || "").trim())
+      return res.status(400).json({ success: false, message: "reason required when skipped or rescheduled" });
+    const badTime = ["startTime", "endTime"].find((k) => body[k] && !validExecutionTime(body[k]));
+    if (badTime)
+      return res.status(400).json({ success: false, message: `${badTime} must be a real date and time (YYYY-MM-DDTHH:MM)` });
+
+    const row = readJSON(AGRO_FILE).find((r) => r.id === Number(body.agroId));
+    if (!row) return res.status(404).json({ success: false, message: "Program row not found" });
+    if (!canAccessFarm(req.session.user, row.farm)) return farmForbidden(res, [row.farm]);
+    if (programStatusOf(row, readJSON(PROGRAMS_FILE)) !== PROGRAM_STATUS.published)
+      return res.status(409).json({ success: false, message: "Row is not part of a published program" });
+
+    const planned = plannedForDay(row, day);
+    const actual = {
+      chemical: String(body.actualChemical ?? planned.chemical).trim(),
+      vol: String(body.actualVol ?? "").trim(),
+      area: String(body.actualArea ?? "").trim(),
+    };
+
+    const executions = readJSON(EXECUTIONS_FILE);
+    const idx = executions.findIndex((e) => e.agroId === row.id && e.day === day);
+    const clientId = String(body.clientId || "").trim();
+    // Replayed from an offline queue after the first attempt already got through
+    if (clientId && idx >= 0 && executions[idx].clientId === clientId)
+      return res.json({ success: true, execution: executions[idx], issued: [], duplicate: true });
+
+    const sprayDate = executionDate(body, row);
+    const operators = status === "done" ? executionOperators(body) : [];
+    let warnings = [];
+    if (status === "done") {
+      const check = checkOperators(operators, sprayDate, idx >= 0 ? executions[idx].id : null);
+      if (check.errors.length)
+        return res.status(400).json({ success: false, message: check.errors[0], errors: check.errors, warnings: check.warnings });
+      warnings = check.warnings;
+    }
+    if (!body.force) {
+      // baseExecution: updatedAt of the record the client saw for this row/day, null when it saw none
+      const changes = rowConflict(row, body.base, ["supervisorRemarks"]) || [];
+      if ("baseExecution" in body && (idx >= 0 ? executions[idx].updatedAt : null) !== (body.baseExecution || null))
+        changes.push({ field: "execution", before: body.baseExecution || null, after: idx >= 0 ? executions[idx].updatedAt : null });
+      if (changes.length)
+        return sendConflict(res, `Row ${row.id} (${day}) was changed on the server after you loaded it`, changes, {
+          row,
+          execution: idx >= 0 ? executions[idx] : null,
+        });
+    }
+    const now = new Date().toISOString();
+    const record = {
+      ...(idx >= 0 ? executions[idx] : {}),
+      id: idx >= 0 ? executions[idx].id : allocateId(EXECUTIONS_FILE),
+      agroId: row.id,
+      day,
+      farm: String(row.farm || ""),
+      gh: String(row.gh || ""),
+      planned,
+      actual,
+      startTime: String(body.startTime || ""),
+      endTime: String(body.endTime || ""),
+      sprayDate,
+      operators,
+      operatorPayroll: operators.length ? operators[0].payrollNumber : "",
+      status,
+      reason: String(body.reason || ""),
+      rescheduledTo: status === "rescheduled" ? String(body.rescheduledTo || "") : "",
+      recordedBy: req.session.user.username,
+      clientId,
+      createdAt: idx >= 0 ? executions[idx].createdAt : now,
+      updatedAt: now,
+    };
+    if (idx >= 0) executions[idx] = record;
+    else executions.push(record);
+    writeJSON(EXECUTIONS_FILE, executions);
+
+    // A completed spray draws the actually-used product down from the store; correcting it (or
+    // recording it as not done after all) reverses what was drawn before
+    const issued = issueSprayFromProgram(row, day, req.session.user, {
+      chemical: status === "done" ? actual.chemical || undefined : "",
+      vol: actual.vol || undefined,
+      date: record.startTime ? record.startTime.slice(0, 10) : undefined,
+      correct: true,
+    });
+
+    res.json({ success: true, execution: record, issued, warnings });
+  }
+);
+
+// Plan vs actual per program week
+function complianceReport(rows, executions = readJSON(EXECUTIONS_FILE)) {
+  const weeks = new Map();
+  for (const row of rows) {
+    const { year, week } = programWeekOf(row);
+    const key = `${year}-W${String(week).padStart(2, "0")}`;
+    if (!weeks.has(key)) weeks.set(key, { year, week, planned: 0, done: 0, asPlanned: 0, skipped: 0, rescheduled: 0, missing: 0, deviations: 0, items: [] });
+    const w = weeks.get(key);
+
+    for (const day of DAYS) {
+      const planned = plannedForDay(row, day);
+      if (!planned.chemical.trim()) continue;
+      const exec = executions.find((e) => e.agroId === row.id && e.day === day);
+      const item = { agroId: row.id, farm: row.farm || "", gh: row.gh || "", day, planned, status: exec ? exec.status : "missing", deviations: [] };
+      if (exec && exec.status === "done") {
+        if (productKey(exec.actual.chemical) !== productKey(planned.chemical))
+          item.deviations.push(`chemical ${exec.actual.chemical} instead of ${planned.chemical}`);
+        const pv = parseQuantity(planned.vol);
+        const av = parseQuantity(exec.actual.vol);
+        if (pv && av && Math.abs(av - pv) / pv > 0.1) item.deviations.push(`volume ${av} L vs planned ${pv} L`);
+        item.actual = exec.actual;
+        item.operatorPayroll = exec.operatorPayroll;
+        item.operators = (exec.operators || []).map((o) => o.payrollNumber);
+      }
+      if (exec && exec.reason) item.reason = exec.reason;
+
+      w.planned++;
+      w[item.status]++;
+      if (item.deviations.length) w.deviations++;
+      else if (item.status === "done") w.asPlanned++;
+      w.items.push(item);
+    }
+  }
+
+  return [...weeks.values()]
+    .map((w) => ({ ...w, compliance: w.planned ? Math.round((w.asPlanned / w.planned) * 100) : null }))
+    .sort((a, b) => b.year - a.year || b.week - a.week);
+}
+
+app.get(
+  "/agro/compliance",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    let report = complianceReport(scopeToFarms(req.session.user, visibleAgroRows(null, searchAgroRows(req.query || {}))));
+    const year = parseInt(req.query.year, 10);
+    const week = parseInt(req.query.week, 10);
+    if (!isNaN(year)) report = report.filter((w) => w.year === year);
+    if (!isNaN(week)) report = report.filter((w) => w.week === week);
+    res.json(report);
+  }
+);
+
+// ---------- OPERATOR REGISTER & EXPOSURE ----------
+// operators.json: spray certification per worker, keyed by payroll number:
+// { id, payrollNumber, name, certificateNo, issuer, certifiedOn, certifiedUntil, notes, updatedAt, updatedBy }.
+// Completed executions list their operators with hours of exposure and the PPE worn; a spray is
+// refused when an operator is uncertified on the spray date or would pass settings.exposure limits.
+const CERT_STATUS = { valid: "valid", expiring: "expiring", expired: "expired", none: "none" };
+
+function certificationStatus(cert, date, warnDays = getSettings().exposure.certificationWarnDays) {
+  const day = localDateText(date);
+  if (!cert || !cert.certifiedUntil || (cert.certifiedOn && cert.certifiedOn > day))
+    return { status: CERT_STATUS.none, daysLeft: null };
+  const daysLeft = Math.round((parseCardDate(cert.certifiedUntil) - parseCardDate(day)) / 86400000);
+  if (daysLeft < 0) return { status: CERT_STATUS.expired, daysLeft };
+  return { status: daysLeft <= warnDays ? CERT_STATUS.expiring : CERT_STATUS.valid, daysLeft };
+}
+
+// Hours between two datetime-local values, or null when either is missing / backwards
+function hoursBetween(start, end) {
+  const a = new Date(start);
+  const b = new Date(end);
+  if (!start || !end || isNaN(a) || isNaN(b) || b <= a) return null;
+  return round((b - a) / 3600000, 2);
+}
+
+// "2026-02-30T08:00" passes a pattern check but is no day at all
+function validExecutionTime(value) {
+  const m = /^(\d{4}-\d{2}-\d{2})/.exec(String(value).trim());
+  return Boolean(m && parseCardDate(m[1]) && !isNaN(new Date(value)));
+}
+
+// Spray date of an execution: its start time, else the day the program planned it
+function executionDate(record, row) {
+  const m = /^(\d{4}-\d{2}-\d{2})/.exec(String(record.startTime || ""));
+  if (m && parseCardDate(m[1])) return m[1];
+  return row ? localDateText(sprayDateTime(row, record.day)) : String(record.createdAt || "").slice(0, 10);
+}
+
+// body.operators: [{ payrollNumber, hours, ppe: ["gloves", ...] }]; the older single
+// operatorPayroll (+ exposureHours, ppe) still works. Hours default to start -> end.
+function executionOperators(body) {
+  const list = Array.isArray(body.operators) && body.operators.length
+    ? body.operators
+    : String(body.operatorPayroll || "").trim()
+      ? [{ payrollNumber: body.operatorPayroll, hours: body.exposureHours, ppe: body.ppe }]
+      : [];
+  const span = hoursBetween(body.startTime, body.endTime);
+  return list.map((o) => {
+    const item = o && typeof o === "object" ? o : { payrollNumber: o };
+    const given = item.hours !== undefined && item.hours !== null && String(item.hours).trim() !== "";
+    return {
+      payrollNumber: String(item.payrollNumber ?? "").trim(),
+      hours: given ? Number(item.hours) : span,
+      ppe: [...new Set((Array.isArray(item.ppe) ? item.ppe : String(item.ppe ?? "").split(","))
+        .map((p) => String(p).trim().toLowerCase()).filter(Boolean))],
+    };
+  });
+}
+
+// One line per operator per completed spray. Records from before the register carry only
+// operatorPayroll; their hours come from start / end when both were filled in.
+function exposureEntries(executions = readJSON(EXECUTIONS_FILE), rows = readJSON(AGRO_FILE)) {
+  const required = getSettings().exposure.ppe;
+  const out = [];
+  for (const e of executions) {
+    if (e.status !== "done") continue;
+    const operators = Array.isArray(e.operators) && e.operators.length
+      ? e.operators
+      : e.operatorPayroll ? [{ payrollNumber: e.operatorPayroll, hours: hoursBetween(e.startTime, e.endTime), ppe: [] }] : [];
+    const date = e.sprayDate || executionDate(e, rows.find((r) => r.id === e.agroId));
+    const { year, week } = isoWeekOf(parseCardDate(date) || new Date(date));
+    operators.forEach((o) =>
+      out.push({
+        payrollNumber: o.payrollNumber,
+        date,
+        year,
+        week,
+        farm: e.farm,
+        gh: e.gh,
+        agroId: e.agroId,
+        day: e.day,
+        executionId: e.id,
+        chemical: (e.actual && e.actual.chemical) || (e.planned && e.planned.chemical) || "",
+        hours: Number(o.hours) || 0,
+        ppe: o.ppe || [],
+        ppeMissing: required.filter((p) => !(o.ppe || []).includes(p)),
+      })
+    );
+  }
+  return out.sort((a, b) => a.date.localeCompare(b.date) || a.executionId - b.executionId);
+}
+
+// Hours an operator has already logged on `date` and in its ISO week, leaving out one execution
+// (the one being recorded or corrected)
+function exposureSoFar(payrollNumber, date, entries, exceptExecutionId = null) {
+  const { year, week } = isoWeekOf(parseCardDate(date));
+  const mine = entries.filter((x) => x.payrollNumber === payrollNumber && x.executionId !== exceptExecutionId);
+  const sum = (list) => round(list.reduce((t, x) => t + x.hours, 0), 2);
+  return {
+    day: sum(mine.filter((x) => x.date === date)),
+    week: sum(mine.filter((x) => x.year === year && x.week === week)),
+  };
+}
+
+// Errors block the execution; warnings (missing PPE, certificate about to lapse, and no operator or hours
+// unless settings.exposure.requireOperator) go back with it
+function checkOperators(operators, date, exceptExecutionId) {
+  const errors = [];
+  const warnings = [];
+  const settings = getSettings().exposure;
+  const payroll = readJSON(PAYROLL_FILE);
+  const register = readJSON(OPERATORS_FILE);
+  const entries = exposureEntries();
+  const when = parseCardDate(date);
+  // Who sprayed and for how long: required only when the register is enforced
+  const unrecorded = settings.requireOperator ? errors : warnings;
+  if (!operators.length) unrecorded.push("No operator (payroll number) recorded for this completed spray");
+  const seen = new Set();
+  for (const o of operators) {
+    const who = `Operator ${o.payrollNumber || "(blank)"}`;
+    if (!o.payrollNumber || !payroll.some((p) => String(p.payrollNumber) === o.payrollNumber)) {
+      errors.push(`${who} is not on the payroll`);
+      continue;
+    }
+    if (seen.has(o.payrollNumber)) {
+      errors.push(`${who} is listed twice`);
+      continue;
+    }
+    seen.add(o.payrollNumber);
+    if (o.hours === null) {
+      unrecorded.push(`${who}: no exposure hours; fill them in, or start and end time`);
+      if (settings.requireOperator) continue;
+    } else if (isNaN(o.hours) || o.hours < 0 || o.hours > 24) {
+      errors.push(`${who}: exposure hours must be 0-24`);
+      continue;
+    }
+
+    const cert = certificationStatus(register.find((c) => c.payrollNumber === o.payrollNumber), when, settings.certificationWarnDays);
+    if (cert.status === CERT_STATUS.none) errors.push(`${who} has no spray certification valid on ${date}`);
+    else if (cert.status === CERT_STATUS.expired) errors.push(`${who}'s spray certification expired ${-cert.daysLeft} day(s) before ${date}`);
+    else if (cert.status === CERT_STATUS.expiring) warnings.push(`${who}'s spray certification expires in ${cert.daysLeft} day(s)`);
+
+    // Unknown hours can't be checked against the limits
+    if (o.hours !== null) {
+      const so = exposureSoFar(o.payrollNumber, date, entries, exceptExecutionId);
+      if (settings.maxHoursPerDay && so.day + o.hours > settings.maxHoursPerDay)
+        errors.push(`${who} would reach ${round(so.day + o.hours, 2)} h of exposure on ${date} (limit ${settings.maxHoursPerDay} h)`);
+      if (settings.maxHoursPerWeek && so.week + o.hours > settings.maxHoursPerWeek)
+        errors.push(`${who} would reach ${round(so.week + o.hours, 2)} h of exposure that week (limit ${settings.maxHoursPerWeek} h)`);
+    }
+
+    const missing = settings.ppe.filter((p) => !o.ppe.includes(p));
+    if (missing.length) warnings.push(`${who} PPE not ticked: ${missing.join(", ")}`);
+  }
+  return { errors, warnings };
+}
+
+// Register with each operator's certification state and exposure for ?date (default today)
+app.get(
+  "/operators",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const date = req.query.date ? parseCardDate(req.query.date) : new Date();
+    if (!date) return res.status(400).json({ success: false, message: "date must be YYYY-MM-DD" });
+    const day = localDateText(date);
+    const { maxHoursPerDay, maxHoursPerWeek, certificationWarnDays } = getSettings().exposure;
+    const entries = exposureEntries();
+    const rows = readJSON(OPERATORS_FILE).map((c) => {
+      const cert = certificationStatus(c, date, certificationWarnDays);
+      const so = exposureSoFar(c.payrollNumber, day, entries);
+      const overExposed = (maxHoursPerDay && so.day >= maxHoursPerDay) || (maxHoursPerWeek && so.week >= maxHoursPerWeek);
+      return {
+        ...c,
+        certStatus: cert.status,
+        daysLeft: cert.daysLeft,
+        hoursToday: so.day,
+        hoursThisWeek: so.week,
+        available: [CERT_STATUS.valid, CERT_STATUS.expiring].includes(cert.status) && !overExposed,
+      };
+    });
+    rows.sort((a, b) => String(a.name || a.payrollNumber).localeCompare(String(b.name || b.payrollNumber)));
+    res.json({ date: day, limits: { maxHoursPerDay, maxHoursPerWeek }, operators: rows });
+  }
+);
+
+// Create or update by payroll number
+app.post(
+  "/operators",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const body = req.body || {};
+    const payrollNumber = String(body.payrollNumber || "").trim();
+    if (!readJSON(PAYROLL_FILE).some((p) => String(p.payrollNumber) === payrollNumber))
+      return res.status(400).json({ success: false, message: "payrollNumber must be on the payroll" });
+    for (const k of ["certifiedOn", "certifiedUntil"]) {
+      const text = String(body[k] || "").trim();
+      // parseCardDate alone lets a month of 13 roll over into the next year
+      if (text && (!parseCardDate(text) || localDateText(parseCardDate(text)) !== text))
+        return res.status(400).json({ success: false, message: `${k} must be YYYY-MM-DD` });
+    }
+    if (!String(body.certifiedUntil || "").trim())
+      return res.status(400).json({ success: false, message: "certifiedUntil required" });
+    if (body.certifiedOn && String(body.certifiedOn) > String(body.certifiedUntil))
+      return res.status(400).json({ success: false, message: "certifiedOn is after certifiedUntil" });
+
+    const rows = readJSON(OPERATORS_FILE);
+    const idx = rows.findIndex((c) => c.payrollNumber === payrollNumber);
+    const cert = {
+      ...(idx >= 0 ? rows[idx] : {}),
+      id: idx >= 0 ? rows[idx].id : allocateId(OPERATORS_FILE),
+      payrollNumber,
+      name: String(body.name || "").trim(),
+      certificateNo: String(body.certificateNo || "").trim(),
+      issuer: String(body.issuer || "").trim(),
+      certifiedOn: String(body.certifiedOn || "").trim(),
+      certifiedUntil: String(body.certifiedUntil).trim(),
+      notes: String(body.notes || ""),
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.session.user.username,
+    };
+    if (idx >= 0) rows[idx] = cert;
+    else rows.push(cert);
+    writeJSON(OPERATORS_FILE, rows);
+    res.json({ success: true, operator: cert });
+  }
+);
+
+app.delete(
+  "/operators/:id",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const rows = readJSON(OPERATORS_FILE);
+    const idx = rows.findIndex((c) => c.id === Number(req.params.id));
+    if (idx === -1) return res.status(404).json({ success: false, message: "Not found" });
+    rows.splice(idx, 1);
+    writeJSON(OPERATORS_FILE, rows);
+    res.json({ success: true });
+  }
+);
+
+// Per-worker exposure history for occupational health audits.
+// ?payroll=&from=&to=&chemical=[&format=xlsx]: every spray line plus totals per worker and chemical
+app.get(
+  "/operators/exposure",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const { payroll, from, to, chemical } = req.query;
+    let entries = scopeToFarms(req.session.user, exposureEntries());
+    if (payroll) entries = entries.filter((x) => x.payrollNumber === String(payroll).trim());
+    if (from) entries = entries.filter((x) => x.date >= from);
+    if (to) entries = entries.filter((x) => x.date <= to);
+    if (chemical) entries = entries.filter((x) => productKey(x.chemical) === productKey(chemical));
+
+    const names = new Map(readJSON(OPERATORS_FILE).map((c) => [c.payrollNumber, c.name]));
+    const totals = {};
+    entries.forEach((x) => {
+      const key = `${x.payrollNumber}|${productKey(x.chemical)}`;
+      const t = totals[key] || (totals[key] = { payrollNumber: x.payrollNumber, name: names.get(x.payrollNumber) || "", chemical: x.chemical, sprays: 0, hours: 0, firstDate: x.date, lastDate: x.date, ppeGaps: 0 });
+      t.sprays++;
+      t.hours = round(t.hours + x.hours, 2);
+      t.lastDate = x.date;
+      if (x.ppeMissing.length) t.ppeGaps++;
+    });
+    const summary = Object.values(totals).sort((a, b) => a.payrollNumber.localeCompare(b.payrollNumber) || a.chemical.localeCompare(b.chemical));
+
+    if (String(req.query.format || "").toLowerCase() !== "xlsx") return res.json({ summary, entries });
+
+    const wb = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(wb, xlsx.utils.json_to_sheet(summary.map((t) => ({
+      PayrollNo: t.payrollNumber, Name: t.name, Chemical: t.chemical, Sprays: t.sprays, Hours: t.hours,
+      From: t.firstDate, To: t.lastDate, SpraysWithPPEGaps: t.ppeGaps,
+    }))), "Summary");
+    xlsx.utils.book_append_sheet(wb, xlsx.utils.json_to_sheet(entries.map((x) => ({
+      PayrollNo: x.payrollNumber, Name: names.get(x.payrollNumber) || "", Date: x.date, Week: `${x.year}-W${String(x.week).padStart(2, "0")}`,
+      Farm: x.farm, GH: x.gh, Chemical: x.chemical, Hours: x.hours, PPE: x.ppe.join(", "), PPEMissing: x.ppeMissing.join(", "),
+      ProgramRow: x.agroId, Day: x.day,
+    }))), "Exposure");
+    const buf = xlsx.write(wb, { type: "buffer", bookType: "xlsx" });
+    res.setHeader("Content-Disposition", `attachment; filename=operator_exposure${payroll ? `_${payroll}` : ""}.xlsx`);
+    res.type("application/vnd.openxmlformats-officedocument.spreadsheetml.sheet").send(buf);
+  }
+);
+
+app.get(
+  "/operators/settings",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => res.json(getSettings().exposure)
+);
+
+app.post(
+  "/operators/settings",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const body = req.body || {};
+    const values = {};
+    for (const k of ["maxHoursPerDay", "maxHoursPerWeek", "certificationWarnDays"]) {
+      if (body[k] === undefined) continue;
+      const n = Number(body[k]);
+      if (isNaN(n) || n < 0) return res.status(400).json({ success: false, message: `${k} must be a number >= 0` });
+      values[k] = n;
+    }
+    if (body.requireOperator !== undefined)
+      values.requireOperator = body.requireOperator === true || ["1", "true", "yes", "on"].includes(String(body.requireOperator).toLowerCase());
+    if (body.ppe !== undefined) {
+      values.ppe = [...new Set((Array.isArray(body.ppe) ? body.ppe : String(body.ppe).split(","))
+        .map((p) => String(p).trim().toLowerCase()).filter(Boolean))];
+    }
+    const exposure = saveSettings("exposure", values);
+    res.json({ success: true, exposure });
+  }
+);
+
+// ---------- WEATHER LOG & SPRAY WINDOWS ----------
+// weather_log.json: { id, farm, at, temperatureC, humidityPct, windKmh, rainMm, forecast, source: "manual" | "csv",
+// notes, createdBy, createdAt }. forecast marks expected weather (e.g. rain due this afternoon) rather
+// than a reading. Each program row's morning / evening window is checked against settings.weather.
+const WEATHER_MEASURES = ["temperatureC", "humidityPct", "windKmh", "rainMm"];
+
+// "2026-10-19 06:30", "2026-10-19T06:30", "19/10/2026 06:30" -> local Date, else null
+function parseWeatherTime(value) {
+  const text = String(value ?? "").trim();
+  let m = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T](\d{1,2}):(\d{2}))?/.exec(text);
+  if (m) return new Date(Number(m[3]), Number(m[2]) - 1, Number(m[1]), Number(m[4] || 0), Number(m[5] || 0));
+  m = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2}))?$/.exec(text);
+  if (m) return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4] || 0), Number(m[5] || 0));
+  const d = text ? new Date(text) : null;
+  return d && !isNaN(d) ? d : null;
+}
+
+// Returns { errors, entry } for one manual or imported reading
+function buildWeatherEntry(body, user, source = "manual") {
+  const errors = [];
+  const optionalNumber = (v) => (v === undefined || v === null || String(v).trim() === "" ? null : parseQuantity(v) || Number(v));
+  const at = parseWeatherTime(body.at);
+  const entry = {
+    farm: String(body.farm || "").trim(),
+    at: at ? at.toISOString() : "",
+    temperatureC: optionalNumber(body.temperatureC),
+    humidityPct: optionalNumber(body.humidityPct),
+    windKmh: optionalNumber(body.windKmh),
+    rainMm: optionalNumber(body.rainMm),
+    forecast: body.forecast === true || ["true", "yes", "1"].includes(String(body.forecast || "").toLowerCase()),
+    source,
+    notes: String(body.notes || "").trim(),
+    createdBy: user ? user.username : "",
+    createdAt: new Date().toISOString(),
+  };
+  if (!entry.farm) errors.push("farm is required");
+  if (!at) errors.push("at (date and time of the reading) is required");
+  if (WEATHER_MEASURES.every((k) => entry[k] === null)) errors.push("Give at least one of temperature, humidity, wind or rain");
+  WEATHER_MEASURES.forEach((k) => {
+    if (entry[k] !== null && isNaN(entry[k])) errors.push(`${k} must be a number`);
+  });
+  if (entry.humidityPct !== null && (entry.humidityPct < 0 || entry.humidityPct > 100)) errors.push("humidityPct must be 0-100");
+  if ((entry.windKmh !== null && entry.windKmh < 0) || (entry.rainMm !== null && entry.rainMm < 0))
+    errors.push("wind and rain cannot be negative");
+  if (!errors.length) resolveSites([entry], "gh").forEach((e) => errors.push(e.message));
+  return { errors, entry };
+}
+
+function filterWeather(query = {}, log = readJSON(WEATHER_FILE)) {
+  const from = query.from ? parseWeatherTime(query.from) : null;
+  const to = query.to ? parseWeatherTime(query.to) : null;
+  if (to && !/\d:\d{2}/.test(String(query.to))) to.setHours(23, 59, 59, 999);
+  return log.filter(
+    (w) =>
+      (!query.farm || siteCode(w.farm) === siteCode(query.farm)) &&
+      (!from || new Date(w.at) >= from) &&
+      (!to || new Date(w.at) <= to)
+  );
+}
+
+// "06:00-10:00" on a date -> { from, to }
+function windowBounds(date, spec) {
+  const m = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(String(spec || "").trim());
+  const at = (h, min) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), h, min);
+  return m ? { from: at(Number(m[1]), Number(m[2])), to: at(Number(m[3]), Number(m[4])) } : null;
+}
+
+// Windows a program row sprays in: its morning / evening flags, else the one its time falls in
+function plannedWindows(row) {
+  const isYes = (v) => ["yes", "y", "true", "1", "x"].includes(String(v || "").trim().toLowerCase());
+  const flagged = ["morning", "evening"].filter((w) => isYes(row[w]));
+  if (flagged.length) return flagged;
+  const m = /^(\d{1,2}):/.exec(String(row.time || "").trim());
+  return [m && Number(m[1]) >= 12 ? "evening" : "morning"];
+}
+
+// { window, from, to, status: "ok" | "warn" | "unknown", reasons, readings } for one farm + window
+function assessSprayWindow(farm, date, window, rules = getSettings().weather, log = readJSON(WEATHER_FILE)) {
+  const bounds = windowBounds(date, rules[`${window}Window`]);
+  if (!bounds) return { window, from: null, to: null, status: "unknown", reasons: [`No ${window} window configured`], readings: 0 };
+  const { from, to } = bounds;
+  const farmLog = filterWeather({ farm }, log).map((w) => ({ ...w, time: new Date(w.at) }));
+  const readingsFrom = new Date(from.getTime() - rules.readingHours * 3600000);
+  const readings = farmLog.filter((w) => w.time >= readingsFrom && w.time <= to);
+  const rainUntil = new Date(to.getTime() + rules.rainWithinHours * 3600000);
+  const rain = farmLog.filter((w) => w.time >= readingsFrom && w.time <= rainUntil && w.rainMm !== null && w.rainMm >= (rules.rainMinMm || 0.01));
+  const clock = (d) => d.toTimeString().slice(0, 5);
+  const reasons = [];
+
+  const worst = (key, pick) => {
+    const values = readings.filter((w) => w[key] !== null).map((w) => w[key]);
+    return values.length ? pick(...values) : null;
+  };
+  const wind = worst("windKmh", Math.max);
+  if (rules.maxWindKmh && wind !== null && wind > rules.maxWindKmh)
+    reasons.push(`Wind ${wind} km/h is above the ${rules.maxWindKmh} km/h limit`);
+  const temp = worst("temperatureC", Math.max);
+  if (rules.maxTempC && temp !== null && temp > rules.maxTempC)
+    reasons.push(`Temperature ${temp} °C is above ${rules.maxTempC} °C`);
+  const humidity = worst("humidityPct", Math.min);
+  if (rules.minHumidityPct && humidity !== null && humidity < rules.minHumidityPct)
+    reasons.push(`Humidity ${humidity}% is below ${rules.minHumidityPct}%`);
+  if (rules.rainWithinHours && rain.length) {
+    const first = rain.sort((a, b) => a.time - b.time)[0];
+    reasons.push(`Rain ${first.forecast ? "expected" : "recorded"} at ${clock(first.time)} (${first.rainMm} mm), within ${rules.rainWithinHours} h of the window`);
+  }
+
+  const status = reasons.length ? "warn" : readings.length || rain.length ? "ok" : "unknown";
+  if (status === "unknown") reasons.push("No weather readings for this window");
+  return { window, from: from.toISOString(), to: to.toISOString(), status, reasons, readings: readings.length };
+}
+
+// Both windows for a farm + date, and per published spray that day whether to keep or move it
+function sprayWindowAdvice(farm, date, rules = getSettings().weather) {
+  const log = readJSON(WEATHER_FILE);
+  const windows = {
+    morning: assessSprayWindow(farm, date, "morning", rules, log),
+    evening: assessSprayWindow(farm, date, "evening", rules, log),
+  };
+  const { year, week } = isoWeekOf(date);
+  const day = DAYS[(date.getDay() + 6) % 7];
+  const sprays = visibleAgroRows(null, searchAgroRows({ farm, year, week }))
+    .filter((r) => siteCode(r.farm) === siteCode(farm) && String(r[`${day}_chemical`] || "").trim())
+    .map((r) => {
+      const planned = plannedWindows(r);
+      const blocked = planned.filter((w) => windows[w].status === "warn");
+      const other = planned.length === 1 ? (planned[0] === "morning" ? "evening" : "morning") : null;
+      let recommendation = "Spray as planned";
+      if (blocked.length === planned.length)
+        recommendation = other && windows[other].status === "ok" ? `Move to the ${other} window` : "Do not spray; reschedule";
+      else if (blocked.length) recommendation = `Spray in the ${planned.find((w) => !blocked.includes(w))} window only`;
+      else if (planned.every((w) => windows[w].status === "unknown")) recommendation = "No weather data; check conditions before spraying";
+      return { rowId: r.id, gh: r.gh, chemical: String(r[`${day}_chemical`]).trim(), planned, recommendation };
+    })
+    .sort((a, b) => compareSiteCodes(a.gh, b.gh));
+  return { farm: String(farm), date: localDateText(date), windows, sprays };
+}
+
+app.get(
+  "/weather",
+  requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const rows = scopeToFarms(req.session.user, filterWeather(req.query || {}));
+    rows.sort((a, b) => new Date(b.at) - new Date(a.at) || (b.id || 0) - (a.id || 0));
+    res.json(rows);
+  }
+);
+
+// One reading, or { entries: [...] }
+app.post(
+  "/weather",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const body = req.body || {};
+    const submitted = Array.isArray(body.entries) ? body.entries : [body];
+    const errors = [];
+    const built = submitted.map((item, i) => {
+      const { errors: e, entry } = buildWeatherEntry(item || {}, req.session.user);
+      e.forEach((message) => errors.push({ index: i, message }));
+      return entry;
+    });
+    if (!built.length) return res.status(400).json({ success: false, message: "No entries" });
+    if (errors.length) return res.status(400).json({ success: false, message: errors[0].message, errors });
+    const denied = built.filter((w) => !canAccessFarm(req.session.user, w.farm));
+    if (denied.length) return farmForbidden(res, denied.map((w) => w.farm));
+
+    const rows = readJSON(WEATHER_FILE);
+    built.forEach((w) => {
+      w.id = allocateId(WEATHER_FILE);
+      rows.push(w);
+    });
+    writeJSON(WEATHER_FILE, rows);
+    res.json({ success: true, ids: built.map((w) => w.id) });
+  }
+);
+
+// CSV export from the station. Column names are matched loosely (Date/Time or Timestamp, Temp,
+// Humidity / RH, Wind speed (km/h or m/s), Rain / Rainfall / Precipitation, optional Farm);
+// a farm field in the form covers files without one. Re-importing replaces readings at the same time.
+const WEATHER_COLUMNS = {
+  at: ["timestamp", "datetime", "dateandtime", "at", "time"],
+  date: ["date", "day"],
+  farm: ["farm"],
+  temperatureC: ["temperaturec", "temperature", "tempc", "temp", "outtemp", "airtemp"],
+  humidityPct: ["humidity", "humiditypct", "rh", "relativehumidity", "outhumidity", "outhum"],
+  windKmh: ["windkmh", "windspeedkmh", "windspeed", "wind", "windavg", "windms", "windspeedms"],
+  rainMm: ["rainmm", "rain", "rainfall", "precipitation", "precip", "precipmm"],
+  forecast: ["forecast"],
+};
+
+app.post(
+  "/weather/import",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  upload.single("file"),
+  inTransaction, // the upload finishes asynchronously, after the app-level transaction
+  (req, res) => {
+    if (!req.file) return res.status(400).json({ success: false, message: "No file uploaded" });
+    let raw;
+    try {
+      // raw: cells stay text, so 03/04/2026 is not guessed as a US date
+      const wb = xlsx.read(fs.readFileSync(req.file.path, "utf8"), { type: "string", raw: true });
+      raw = xlsx.utils.sheet_to_json(wb.Sheets[wb.SheetNames[0]], { defval: "", raw: false });
+    } finally {
+      fs.unlink(req.file.path, () => {});
+    }
+    if (!raw.length) return res.status(400).json({ success: false, message: "The file has no rows" });
+
+    const norm = (h) => String(h).toLowerCase().replace(/[^a-z]/g, "");
+    const headers = Object.keys(raw[0]);
+    const column = {};
+    for (const [field, names] of Object.entries(WEATHER_COLUMNS)) {
+      column[field] = names.map((n) => headers.find((h) => norm(h) === n)).find(Boolean);
+    }
+    if (!column.at && !column.date)
+      return res.status(400).json({ success: false, message: "No date / time column found" });
+    const windInMs = column.windKmh && /m\/?s/i.test(column.windKmh) && !/km/i.test(column.windKmh);
+
+    const errors = [];
+    const built = [];
+    raw.forEach((r, i) => {
+      if (Object.values(r).every((v) => String(v).trim() === "")) return;
+      const when = column.date && column.at && column.date !== column.at ? `${r[column.date]} ${r[column.at]}` : r[column.at || column.date];
+      const item = { farm: (column.farm && r[column.farm]) || (req.body || {}).farm, at: when };
+      ["temperatureC", "humidityPct", "windKmh", "rainMm", "forecast"].forEach((k) => { if (column[k]) item[k] = r[column[k]]; });
+      if (windInMs && String(item.windKmh).trim() !== "") item.windKmh = round(parseQuantity(item.windKmh) * 3.6, 1);
+      const { errors: e, entry } = buildWeatherEntry(item, req.session.user, "csv");
+      e.forEach((message) => errors.push({ line: i + 2, message }));
+      built.push(entry);
+    });
+    if (errors.length)
+      return res.status(400).json({ success: false, message: `Line ${errors[0].line}: ${errors[0].message}`, errors });
+    const denied = built.filter((w) => !canAccessFarm(req.session.user, w.farm));
+    if (denied.length) return farmForbidden(res, denied.map((w) => w.farm));
+
+    const rows = readJSON(WEATHER_FILE);
+    const sameReading = (a, b) => siteCode(a.farm) === siteCode(b.farm) && a.at === b.at && a.source === "csv";
+    const replaced = rows.filter((w) => built.some((b) => sameReading(w, b))).length;
+    const kept = rows.filter((w) => !built.some((b) => sameReading(w, b)));
+    built.forEach((w) => {
+      w.id = allocateId(WEATHER_FILE);
+      kept.push(w);
+    });
+    writeJSON(WEATHER_FILE, kept);
+    res.json({ success: true, imported: built.length, replaced });
+  }
+);
+
+// Recorders may remove their own readings; Agronomist / GM anyone's
+app.delete(
+  "/weather/:id",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const rows = readJSON(WEATHER_FILE);
+    const w = rows.find((r) => r.id === Number(req.params.id));
+    if (!w) return res.status(404).json({ success: false, message: "Not found" });
+    const user = req.session.user;
+    if (!canAccessFarm(user, w.farm)) return farmForbidden(res, [w.farm]);
+    if (user.role === ROLES.Supervisor && w.createdBy !== user.username)
+      return res.status(403).json({ success: false, message: "Only the person who recorded it can delete it" });
+    writeJSON(WEATHER_FILE, rows.filter((r) => r !== w));
+    res.json({ success: true });
+  }
+);
+
+// GET /weather/advice?farm=7&date=2026-10-20 (date defaults to today)
+app.get(
+  "/weather/advice",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    if (!String(req.query.farm || "").trim()) return res.status(400).json({ success: false, message: "farm required" });
+    const date = req.query.date ? parseCardDate(req.query.date) : new Date();
+    if (!date) return res.status(400).json({ success: false, message: "date must be YYYY-MM-DD" });
+    if (!canAccessFarm(req.session.user, req.query.farm)) return farmForbidden(res, [req.query.farm]);
+    res.json(sprayWindowAdvice(req.query.farm, date));
+  }
+);
+
+app.get(
+  "/weather/settings",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => res.json(getSettings().weather)
+);
+
+app.post(
+  "/weather/settings",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const body = req.body || {};
+    const current = getSettings().weather;
+    const values = {};
+    for (const w of ["morningWindow", "eveningWindow"]) {
+      if (body[w] === undefined) continue;
+      const spec = String(body[w]).trim();
+      const bounds = windowBounds(new Date(), spec);
+      if (!bounds || bounds.to <= bounds.from)
+        return res.status(400).json({ success: false, message: `${w} must look like 06:00-10:00` });
+      values[w] = spec;
+    }
+    for (const k of ["maxWindKmh", "rainWithinHours", "rainMinMm", "maxTempC", "minHumidityPct", "readingHours"]) {
+      if (body[k] === undefined) continue;
+      const n = Number(body[k]);
+      if (isNaN(n) || n < 0) return res.status(400).json({ success: false, message: `${k} must be a number >= 0` });
+      values[k] = n;
+    }
+    const weather = saveSettings("weather", { ...current, ...values });
+    res.json({ success: true, weather });
+  }
+);
+
+// ---------- JOB CARDS ----------
+// Printable card for one date + farm: every greenhouse with a spray that day, from the published
+// program (same filtering as /agro/search). GET /agro/jobcard?date=YYYY-MM-DD&farm=7[&gh=][&format=pdf]
+function parseCardDate(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || "").trim());
+  if (!m) return null;
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return isNaN(d) || d.getDate() !== Number(m[3]) ? null : d;
+}
+
+// Local calendar date as YYYY-MM-DD (toISOString would shift local midnight to the day before east of UTC)
+function localDateText(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function jobCard(date, query, user) {
+  const { year, week } = isoWeekOf(date);
+  const day = DAYS[(date.getDay() + 6) % 7];
+  const isYes = (v) => ["yes", "y", "true", "1", "x"].includes(String(v || "").trim().toLowerCase());
+  const rows = visibleAgroRows(user, searchAgroRows({ farm: query.farm, gh: query.gh, year, week }))
+    .filter((r) => !query.farm || siteCode(r.farm) === siteCode(query.farm))
+    .filter((r) => tankMixOf(r, day).length);
+  const registry = readJSON(CHEMICALS_FILE);
+
+  const jobs = rows
+    .map((r) => {
+      const rate = String(r[`${day}_rate`] || "");
+      const vol = String(r[`${day}_vol`] || "");
+      const items = tankMixOf(r, day).map((item) => ({ ...item, chem: findChemical(item.chemical, registry) }));
+      const product = items.map((item) => {
+        const unit = item.chem && RATE_UNITS[item.chem.rateUnit] ? RATE_UNITS[item.chem.rateUnit].base : "";
+        return parseQuantity(item.rate) && parseQuantity(vol) ? `${round(parseQuantity(item.rate) * parseQuantity(vol), 2)} ${unit}`.trim() : "";
+      });
+      const reiHours = Math.max(0, ...items.map((item) => Number(item.chem && item.chem.reiHours) || 0));
+      const windows = [isYes(r.morning) && "Morning", isYes(r.evening) && "Evening"].filter(Boolean);
+      return {
+        rowId: r.id,
+        farm: r.farm,
+        gh: r.gh,
+        chemical: String(r[`${day}_chemical`]).trim(),
+        rate,
+        vol,
+        product: product.some(Boolean) ? product.join(" + ") : "",
+        area: String(r[`${day}_area`] || r.area || ""),
+        mode: String(r[`${day}_mode`] || r.mode || ""),
+        method: String(r.method || ""),
+        window: [...windows, r.time].filter(Boolean).join(" / "),
+        target: String(r.target || ""),
+        justification: String(r.justification || ""),
+        reiHours: reiHours || null,
+      };
+    })
+    .sort((a, b) => compareSiteCodes(a.gh, b.gh) || a.rowId - b.rowId);
+
+  const weather = query.farm ? sprayWindowAdvice(query.farm, date).windows : null;
+  return { date: localDateText(date), day, year, week, farm: query.farm || "", gh: query.gh || "", weather, jobs };
+}
+
+const JOB_CARD_COLUMNS = [
+  ["gh", "GH", 34],
+  ["chemical", "Chemical", 88],
+  ["rate", "Rate", 40],
+  ["vol", "Vol (L)", 42],
+  ["product", "Product", 52],
+  ["area", "Area", 42],
+  ["mode", "Mode", 52],
+  ["window", "Window", 60],
+  ["target", "Target", 70],
+  ["justification", "Justification", 92],
+];
+
+function escapeHtml(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (m) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[m]);
+}
+
+// "Morning: OK · Evening: Wind 22 km/h is above the 15 km/h limit"
+function jobCardWeatherText(card) {
+  if (!card.weather) return "";
+  return Object.values(card.weather)
+    .map((w) => `${w.window[0].toUpperCase()}${w.window.slice(1)}: ${w.status === "ok" ? "OK" : w.reasons.join("; ")}`)
+    .join(" · ");
+}
+
+function jobCardHtml(card, user) {
+  const dateText = new Date(`${card.date}T12:00:00`).toLocaleDateString("en-KE", { weekday: "long", day: "numeric", month: "long", year: "numeric" });
+  const body = card.jobs.length
+    ? card.jobs
+        .map(
+          (j) => `<tr>${JOB_CARD_COLUMNS.map(([k]) => `<td>${escapeHtml(j[k])}</td>`).join("")}</tr>
+      <tr class="sign"><td colspan="${JOB_CARD_COLUMNS.length}">
+        Operator: <span class="line"></span> Start: <span class="line short"></span> End: <span class="line short"></span>
+        Actual vol (L): <span class="line short"></span>${j.reiHours ? ` <b>No entry for ${j.reiHours} h after spraying</b>` : ""}
+      </td></tr>`
+        )
+        .join("")
+    : `<tr><td colspan="${JOB_CARD_COLUMNS.length}">No sprays scheduled in the published program for this day.</td></tr>`;
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8"/>
+  <title>Job card ${escapeHtml(card.date)} farm ${escapeHtml(card.farm)}</title>
+  <style>
+    body { font-family: Arial; margin: 16px; font-size: 13px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    .meta { margin-bottom: 10px; color: #333; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #999; padding: 5px; text-align: left; vertical-align: top; }
+    th { background: #e6f2e6; }
+    tr.sign td { border-top: 0; padding: 10px 5px; font-size: 12px; color: #333; }
+    .line { display: inline-block; width: 160px; border-bottom: 1px solid #000; margin-right: 12px; }
+    .line.short { width: 70px; }
+    .footer { margin-top: 30px; display: flex; gap: 40px; }
+    .noprint { margin-bottom: 12px; }
+    @media print { .noprint { display: none; } body { margin: 0; } tr { page-break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <div class="noprint">
+    <button onclick="window.print()">Print</button>
+    <a href="?${escapeHtml(new URLSearchParams({ date: card.date, farm: card.farm, gh: card.gh, format: "pdf" }).toString())}">Download PDF</a>
+  </div>
+  <h1>Spray job card — Farm ${escapeHtml(card.farm || "all")}${card.gh ? ` GH ${escapeHtml(card.gh)}` : ""}</h1>
+  <div class="meta">${escapeHtml(dateText)} (week ${card.week}/${card.year}) · ${card.jobs.length} job(s) · printed by ${escapeHtml(user.username)}</div>
+  ${card.weather ? `<div class="meta">Weather: ${escapeHtml(jobCardWeatherText(card))}</div>` : ""}
+  <table>
+    <thead><tr>${JOB_CARD_COLUMNS.map(([, label]) => `<th>${label}</th>`).join("")}</tr></thead>
+    <tbody>${body}</tbody>
+  </table>
+  <div class="footer">
+    <div>Supervisor: <span class="line"></span></div>
+    <div>Signature: <span class="line"></span></div>
+    <div>Date: <span class="line short"></span></div>
+  </div>
+</body>
+</html>`;
+}
+
+function writeJobCardPdf(card, user, stream) {
+  const doc = new PDFDocument({ size: "A4", layout: "landscape", margin: 30 });
+  doc.pipe(stream);
+  const left = doc.page.margins.left;
+  const scale = (doc.page.width - left - doc.page.margins.right) / JOB_CARD_COLUMNS.reduce((s, [, , w]) => s + w, 0);
+  const cols = JOB_CARD_COLUMNS.map(([key, label, w]) => ({ key, label, width: w * scale }));
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+  const drawRow = (values, { bold = false, fill = null } = {}) => {
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+    const height = Math.max(...cols.map((c, i) => doc.heightOfString(String(values[i] ?? ""), { width: c.width - 6 }))) + 8;
+    if (doc.y + height > bottom()) doc.addPage();
+    const y = doc.y;
+    let x = left;
+    cols.forEach((c, i) => {
+      if (fill) doc.rect(x, y, c.width, height).fill(fill).fillColor("black");
+      doc.rect(x, y, c.width, height).stroke();
+      doc.text(String(values[i] ?? ""), x + 3, y + 4, { width: c.width - 6 });
+      x += c.width;
+    });
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  doc.font("Helvetica-Bold").fontSize(16).text(`Spray job card - Farm ${card.farm || "all"}${card.gh ? ` GH ${card.gh}` : ""}`);
+  doc.font("Helvetica").fontSize(10)
+    .text(`${card.date} (${card.day}, week ${card.week}/${card.year}) - ${card.jobs.length} job(s) - printed by ${user.username}`);
+  if (card.weather) doc.text(`Weather: ${jobCardWeatherText(card).replace(/·/g, "-")}`);
+  doc.moveDown(0.5);
+  drawRow(cols.map((c) => c.label), { bold: true, fill: "#e6f2e6" });
+  if (!card.jobs.length) doc.moveDown().text("No sprays scheduled in the published program for this day.");
+  card.jobs.forEach((j) => {
+    drawRow(cols.map((c) => j[c.key]));
+    if (doc.y + 24 > bottom()) doc.addPage();
+    doc.fontSize(9).text(
+      "Operator: ____________________   Start: ________   End: ________   Actual vol (L): ________" +
+        (j.reiHours ? `   NO ENTRY FOR ${j.reiHours} H AFTER SPRAYING` : ""),
+      left + 3, doc.y + 8
+    );
+    doc.x = left;
+    doc.moveDown(0.6);
+  });
+  if (doc.y + 50 > bottom()) doc.addPage();
+  doc.moveDown(2).fontSize(10)
+    .text("Supervisor: ______________________________   Signature: ______________________________   Date: ____________", left);
+  doc.end();
+}
+
+app.get(
+  "/agro/jobcard",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const date = parseCardDate(req.query.date);
+    if (!date) return res.status(400).json({ success: false, message: "date (YYYY-MM-DD) required" });
+    if (!String(req.query.farm || "").trim()) return res.status(400).json({ success: false, message: "farm required" });
+    if (!canAccessFarm(req.session.user, req.query.farm)) return farmForbidden(res, [req.query.farm]);
+    // Cards go to the field, so even Agronomists only see the published program here
+    const card = jobCard(date, req.query, null);
+    const user = req.session.user;
+    const format = String(req.query.format || "html").toLowerCase();
+    if (format === "json") return res.json(card);
+    if (format === "pdf") {
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `inline; filename=jobcard_${card.date}_farm${siteCode(card.farm)}.pdf`);
+      return writeJobCardPdf(card, user, res);
+    }
+    res.type("html").send(jobCardHtml(card, user));
+  }
+);
+
+// ---------- TANK MIXES ----------
+// A day can spray several products from one tank: ${day}_mix = [{ chemical, rate }], rate per litre of
+// mix as in ${day}_rate. ${day}_chemical / ${day}_rate keep the same mix as "A + B" text for the grid,
+// exports and older readers. Rows written before this only have the text; tankMixOf splits it.
+// tank_mix.json is the compatibility matrix: { id, a, b, status, notes, updatedAt, updatedBy }, one
+// entry per product pair (either order).
+const MIX_SEPARATOR = /\s*[+;]\s*/;
+const MIX_STATUS = { compatible: "compatible", caution: "caution", incompatible: "incompatible" };
+
+// Mixing order by formulation: dry products first, adjuvants last. Products with no formulation on
+// file go in just before the adjuvants, in the order they were planned.
+const FORMULATION_STEPS = [
+  { codes: ["WSB"], label: "Water-soluble bags" },
+  { codes: ["WP", "WG", "DF", "SG", "SP"], label: "Dry products: pre-mix into a slurry first" },
+  { codes: ["SC", "CS", "SE", "OD", "FS"], label: "Suspension concentrates / flowables" },
+  { codes: ["EC", "EW", "ME"], label: "Emulsifiable concentrates / emulsions" },
+  { codes: ["SL"], label: "Soluble liquids" },
+  { codes: ["ADJ"], label: "Adjuvants, surfactants and oils" },
+];
+const FORMULATIONS = FORMULATION_STEPS.flatMap((s) => s.codes);
+
+function parseTankMix(chemicalText, rateText) {
+  const rates = String(rateText ?? "").split(MIX_SEPARATOR);
+  return String(chemicalText ?? "")
+    .split(MIX_SEPARATOR)
+    .map((name, i) => ({ chemical: name.trim(), rate: String(rates[i] ?? "").trim() }))
+    .filter((item) => item.chemical);
+}
+
+// Products sprayed on a row's day, in the order planned
+function tankMixOf(row, day) {
+  const mix = row[`${day}_mix`];
+  if (Array.isArray(mix) && mix.length)
+    return mix
+      .map((item) => ({ chemical: String((item && item.chemical) ?? "").trim(), rate: String((item && item.rate) ?? "").trim() }))
+      .filter((item) => item.chemical);
+  return parseTankMix(row[`${day}_chemical`], row[`${day}_rate`]);
+}
+
+function setTankMix(row, day, items) {
+  if (!items.length) {
+    delete row[`${day}_mix`];
+    return;
+  }
+  row[`${day}_mix`] = items;
+  row[`${day}_chemical`] = items.map((i) => i.chemical).join(" + ");
+  row[`${day}_rate`] = items.some((i) => i.rate) ? items.map((i) => i.rate).join(" + ") : "";
+}
+
+// Rows about to be written: the text columns win when both are present (that is what the grid edits);
+// a client that sends only ${day}_mix gets the text filled in from it.
+function syncTankMixes(rows) {
+  for (const row of rows) {
+    for (const day of DAYS) {
+      const fromList = row[`${day}_chemical`] === undefined && Array.isArray(row[`${day}_mix`]);
+      setTankMix(row, day, fromList ? tankMixOf(row, day) : parseTankMix(row[`${day}_chemical`], row[`${day}_rate`]));
+    }
+  }
+  return rows;
+}
+
+function mixPairKey(a, b) {
+  return [productKey(a), productKey(b)].sort().join("|");
+}
+
+// Pairs in one tank that the matrix flags, plus a product listed twice
+function checkTankMix(items, matrix = readJSON(TANK_MIX_FILE)) {
+  const out = [];
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      const a = items[i].chemical;
+      const b = items[j].chemical;
+      if (productKey(a) === productKey(b)) {
+        out.push({ a, b, status: "duplicate", message: `${a} is listed twice in the same tank` });
+        continue;
+      }
+      const pair = matrix.find((p) => mixPairKey(p.a, p.b) === mixPairKey(a, b));
+      if (!pair || pair.status === MIX_STATUS.compatible) continue;
+      const notes = pair.notes ? ` (${pair.notes})` : "";
+      out.push({
+        a,
+        b,
+        status: pair.status,
+        message: pair.status === MIX_STATUS.incompatible ? `${a} and ${b} are incompatible in one tank${notes}` : `${a} + ${b}: mix with caution${notes}`,
+      });
+    }
+  }
+  return out;
+}
+
+function formulationStep(chem) {
+  const step = FORMULATION_STEPS.findIndex((s) => s.codes.includes(String((chem && chem.formulation) || "").toUpperCase()));
+  return step >= 0 ? step : FORMULATION_STEPS.length - 1.5;
+}
+
+// Mixing order and per-tank quantities for one tank mix:
+// { items: [{ chemical, rate }], vol (L of water), method } -> sheet
+function mixSheet(input, registry = readJSON(CHEMICALS_FILE), matrix = readJSON(TANK_MIX_FILE)) {
+  const profile = methodProfile(input.method);
+  const tankL = parseQuantity(input.tankL) || profile.tankL;
+  const vol = parseQuantity(input.vol);
+  const fullTanks = vol ? Math.floor(vol / tankL) : 0;
+  const lastWater = vol ? round(vol - fullTanks * tankL, 1) : 0;
+  const warnings = checkTankMix(input.items, matrix).map((w) => w.message);
+  if (!vol) warnings.push("No spray volume planned: quantities per tank not calculated");
+
+  const products = input.items
+    .map((item, listed) => {
+      const chem = findChemical(item.chemical, registry);
+      const rate = parseQuantity(item.rate);
+      const step = formulationStep(chem);
+      if (!chem) warnings.push(`${item.chemical} is not in the chemical registry; mixing order guessed`);
+      else if (!chem.formulation) warnings.push(`${chem.name} has no formulation on file; mixing order guessed`);
+      if (!rate) warnings.push(`${item.chemical} has no rate`);
+      return {
+        chemical: chem ? chem.name : item.chemical,
+        formulation: (chem && chem.formulation) || "",
+        stage: Number.isInteger(step) ? FORMULATION_STEPS[step].label : "Formulation not on file",
+        step,
+        listed,
+        rate: item.rate,
+        unit: chem && RATE_UNITS[chem.rateUnit] ? RATE_UNITS[chem.rateUnit].base : "",
+        total: rate && vol ? round(rate * vol) : null,
+        perTank: rate && fullTanks ? round(rate * tankL) : null,
+        lastTank: rate && lastWater > 0 ? round(rate * lastWater) : null,
+      };
+    })
+    .sort((a, b) => a.step - b.step || a.listed - b.listed)
+    .map(({ step, listed, ...p }, i) => ({ order: i + 1, ...p }));
+
+  return {
+    method: profile.method,
+    vol,
+    tankL,
+    tanks: fullTanks + (lastWater > 0 ? 1 : 0),
+    fullTanks,
+    lastTankL: lastWater > 0 ? lastWater : null,
+    products,
+    steps: [
+      `Fill the tank about half way (${round(tankL / 2, 1)} L) with clean water and start the agitator`,
+      ...products.map((p) => `Add ${p.chemical}${p.formulation ? ` (${p.formulation})` : ""} and let it disperse fully before the next product`),
+      `Top up with water to ${tankL} L${lastWater > 0 && fullTanks ? ` (${lastWater} L for the last tank)` : ""} and keep agitating until the tank is sprayed out`,
+    ],
+    warnings: [...new Set(warnings)],
+    incompatible: checkTankMix(input.items, matrix).some((w) => w.status === MIX_STATUS.incompatible),
+  };
+}
+
+// Mix sheets for one date + farm from the published program, one per row with a spray that day
+function mixSheets(date, query) {
+  const { year, week } = isoWeekOf(date);
+  const day = DAYS[(date.getDay() + 6) % 7];
+  const registry = readJSON(CHEMICALS_FILE);
+  const matrix = readJSON(TANK_MIX_FILE);
+  const sheets = visibleAgroRows(null, searchAgroRows({ farm: query.farm, gh: query.gh, year, week }))
+    .filter((r) => siteCode(r.farm) === siteCode(query.farm))
+    .filter((r) => tankMixOf(r, day).length)
+    .map((r) => ({
+      rowId: r.id,
+      farm: r.farm,
+      gh: r.gh,
+      target: String(r.target || ""),
+      ...mixSheet({ items: tankMixOf(r, day), vol: r[`${day}_vol`], method: r[`${day}_mode`] || r.method || r.mode }, registry, matrix),
+    }))
+    .sort((a, b) => compareSiteCodes(a.gh, b.gh) || a.rowId - b.rowId);
+  return { date: localDateText(date), day, year, week, farm: query.farm, gh: query.gh || "", sheets };
+}
+
+function mixSheetHtml(card, user) {
+  const dateText = new Date(`${card.date}T12:00:00`).toLocaleDateString("en-KE", { weekday: "long", day: "numeric", month: "long", year: "numeric" });
+  const blocks = card.sheets.length
+    ? card.sheets
+        .map(
+          (s) => `<div class="sheet">
+    <h2>GH ${escapeHtml(s.gh)} <span class="meta">row ${s.rowId}${s.target ? ` · ${escapeHtml(s.target)}` : ""} · ${escapeHtml(s.method)} · ${s.vol || "?"} L in ${s.tanks || "?"} tank(s) of ${s.tankL} L</span></h2>
+    ${s.warnings.map((w) => `<div class="${s.incompatible ? "bad" : "warn"}">⚠ ${escapeHtml(w)}</div>`).join("")}
+    <table>
+      <thead><tr><th>Order</th><th>Product</th><th>Formulation</th><th>Rate / L</th><th>Per full tank</th><th>Last tank${s.lastTankL ? ` (${s.lastTankL} L)` : ""}</th><th>Total</th></tr></thead>
+      <tbody>${s.products
+        .map(
+          (p) => `<tr><td>${p.order}</td><td>${escapeHtml(p.chemical)}</td><td>${escapeHtml(p.formulation || "?")}</td><td>${escapeHtml(p.rate)} ${escapeHtml(p.unit)}</td>
+        <td>${p.perTank ?? ""} ${p.perTank != null ? escapeHtml(p.unit) : ""}</td><td>${p.lastTank ?? ""} ${p.lastTank != null ? escapeHtml(p.unit) : ""}</td><td>${p.total ?? ""} ${p.total != null ? escapeHtml(p.unit) : ""}</td></tr>`
+        )
+        .join("")}</tbody>
+    </table>
+    <ol class="steps">${s.steps.map((t) => `<li>${escapeHtml(t)}</li>`).join("")}</ol>
+    <div class="sign">Mixed by: <span class="line"></span> Checked by: <span class="line"></span></div>
+  </div>`
+        )
+        .join("")
+    : "<p>No sprays scheduled in the published program for this day.</p>";
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8"/>
+  <title>Mix sheet ${escapeHtml(card.date)} farm ${escapeHtml(card.farm)}</title>
+  <style>
+    body { font-family: Arial; margin: 16px; font-size: 13px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    h2 { font-size: 15px; margin: 0 0 6px; }
+    .meta { color: #333; font-weight: normal; font-size: 12px; }
+    .sheet { border: 1px solid #999; border-radius: 6px; padding: 10px; margin-top: 12px; page-break-inside: avoid; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #999; padding: 5px; text-align: left; }
+    th { background: #e6f2e6; }
+    .warn { color: #8a5a00; margin: 2px 0; }
+    .bad { color: #b00; font-weight: bold; margin: 2px 0; }
+    .steps { margin: 8px 0 0 18px; padding: 0; }
+    .sign { margin-top: 10px; font-size: 12px; }
+    .line { display: inline-block; width: 160px; border-bottom: 1px solid #000; margin-right: 12px; }
+    .noprint { margin-bottom: 12px; }
+    @media print { .noprint { display: none; } body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <div class="noprint"><button onclick="window.print()">Print</button></div>
+  <h1>Tank mix sheet — Farm ${escapeHtml(card.farm)}${card.gh ? ` GH ${escapeHtml(card.gh)}` : ""}</h1>
+  <div class="meta">${escapeHtml(dateText)} (week ${card.week}/${card.year}) · ${card.sheets.length} tank mix(es) · printed by ${escapeHtml(user.username)}</div>
+  ${blocks}
+</body>
+</html>`;
+}
+
+// GET /agro/mixsheet?date=YYYY-MM-DD&farm=7[&gh=][&format=json]
+app.get(
+  "/agro/mixsheet",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const date = parseCardDate(req.query.date);
+    if (!date) return res.status(400).json({ success: false, message: "date (YYYY-MM-DD) required" });
+    if (!String(req.query.farm || "").trim()) return res.status(400).json({ success: false, message: "farm required" });
+    if (!canAccessFarm(req.session.user, req.query.farm)) return farmForbidden(res, [req.query.farm]);
+    const card = mixSheets(date, req.query);
+    if (String(req.query.format || "html").toLowerCase() === "json") return res.json(card);
+    res.type("html").send(mixSheetHtml(card, req.session.user));
+  }
+);
+
+// Try a mix before planning it: { chemical: "A + B", rate: "0.5 + 1", vol, method } or { items: [...] }
+app.post(
+  "/agro/mixsheet",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const body = req.body || {};
+    const items = Array.isArray(body.items) ? tankMixOf({ mon_mix: body.items }, "mon") : parseTankMix(body.chemical, body.rate);
+    if (!items.length) return res.status(400).json({ success: false, message: "At least one product required" });
+    res.json({ success: true, ...mixSheet({ items, vol: body.vol, method: body.method, tankL: body.tankL }) });
+  }
+);
+
+app.get(
+  "/chemicals/compatibility",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const pairs = readJSON(TANK_MIX_FILE);
+    pairs.sort((x, y) => String(x.a).localeCompare(String(y.a)) || String(x.b).localeCompare(String(y.b)));
+    res.json({ statuses: Object.values(MIX_STATUS), formulations: FORMULATION_STEPS, pairs });
+  }
+);
+
+// Create or update the entry for a pair of products
+app.post(
+  "/chemicals/compatibility",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const body = req.body || {};
+    const [a, b] = [body.a, body.b].map((v) => String(v || "").trim());
+    if (!a || !b) return res.status(400).json({ success: false, message: "a and b (product names) required" });
+    if (productKey(a) === productKey(b)) return res.status(400).json({ success: false, message: "Pick two different products" });
+    if (!Object.values(MIX_STATUS).includes(body.status))
+      return res.status(400).json({ success: false, message: `status must be one of ${Object.values(MIX_STATUS).join(", ")}` });
+
+    const registry = readJSON(CHEMICALS_FILE);
+    const name = (v) => (findChemical(v, registry) || { name: v }).name;
+    const [first, second] = [name(a), name(b)].sort((x, y) => productKey(x).localeCompare(productKey(y)));
+    const rows = readJSON(TANK_MIX_FILE);
+    const idx = rows.findIndex((p) => mixPairKey(p.a, p.b) === mixPairKey(first, second));
+    const pair = {
+      id: idx >= 0 ? rows[idx].id : allocateId(TANK_MIX_FILE),
+      a: first,
+      b: second,
+      status: body.status,
+      notes: String(body.notes || ""),
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.session.user.username,
+    };
+    if (idx >= 0) rows[idx] = pair;
+    else rows.push(pair);
+    writeJSON(TANK_MIX_FILE, rows);
+    res.json({ success: true, pair });
+  }
+);
+
+app.delete(
+  "/chemicals/compatibility/:id",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const rows = readJSON(TANK_MIX_FILE);
+    const idx = rows.findIndex((p) => p.id === Number(req.params.id));
+    if (idx === -1) return res.status(404).json({ success: false, message: "Not found" });
+    rows.splice(idx, 1);
+    writeJSON(TANK_MIX_FILE, rows);
+    res.json({ success: true });
+  }
+);
+
+// ---------- FARM REPORT ----------
+// Keep existing /farmreport routes unchanged (omitted here for brevity)
+// Include ensureCreatedAtForFarmReport() on startup
+app.get(
+  "/farmreport",
+  requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    // return raw rows (createdAt preserved as ISO) — client will format for display
+    const rows = scopeToFarms(req.session.user, readJSON(FARM_REPORT_FILE));
+    res.json(rows);
+  }
+);
+
+app.post(
+  "/farmreport",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const {
+      year,
+      weekRange, farm, greenhouse, bed, crop, variety, pest, disease,
+      pestRate, diseaseRate
+    } = req.body || {};
+    if (!weekRange || !farm || !greenhouse)
+      return res.status(400).json({ success: false, message: "weekRange, farm, greenhouse required" });
+
+    const rows = readJSON(FARM_REPORT_FILE);
+    const nextId = allocateId(FARM_REPORT_FILE);
+    const entry = {
+      id: nextId,
+      year: String(year || ""),
+      weekRange: String(weekRange).trim(),
+      farm: String(farm || ""),
+      greenhouse: String(greenhouse || ""),
+      bed: String(bed || ""),
+      crop: String(crop || ""),
+      variety: String(variety || ""),
+      pest: String(pest || ""),
+      disease: String(disease || ""),
+      pestRate: Number(pestRate) || 0,
+      diseaseRate: Number(diseaseRate) || 0,
+      createdAt: new Date().toISOString(),
+    };
+    const siteErrors = resolveSites([entry], "greenhouse");
+    if (siteErrors.length)
+      return res.status(400).json({ success: false, message: siteErrors[0].message, errors: siteErrors });
+    if (!canAccessFarm(req.session.user, entry.farm)) return farmForbidden(res, [entry.farm]);
+    rows.push(entry);
+    writeAudited("farmreport", rows, req);
+    const alerts = raiseThresholdAlerts([entry]);
+    res.json({ success: true, id: nextId, alerts: alerts.map((a) => a.id) });
+  }
+);
+
+// helper to parse a "1-4" style range into {start,end}
+function parseWeekRange(weekRangeStr = "") {
+  const s = String(weekRangeStr || "").trim();
+  const parts = s.split("-");
+  if (parts.length === 2) {
+    const start = parseInt(parts[0], 10);
+    const end = parseInt(parts[1], 10);
+    if (!isNaN(start) && !isNaN(end)) return { start, end };
+  }
+  const single = parseInt(s, 10);
+  if (!isNaN(single)) return { start: single, end: single };
+  return { start: NaN, end: NaN };
+}
+// helper: format createdAt for display (Kenya time, short date+time)
+function formatCreatedAtForDisplay(ts) {
+  if (!ts) return "";
+  try {
+    return new Date(ts).toLocaleString("en-KE", {
+      dateStyle: "short",
+      timeStyle: "short",
+      timeZone: "Africa/Nairobi",
+      timeZoneName: "short",
+    });
+  } catch (e) {
+    return ts;
+  }
+}
+
+// Reusable filter function for farm report queries
+function filterFarmRows(query = {}) {
+  const {
+    year,
+    weekFrom,
+    weekTo,
+    farm,
+    greenhouse,
+    bed,
+    crop,
+    variety,
+    pest,
+    disease,
+    pestRateMin,
+    pestRateMax,
+    diseaseRateMin,
+    diseaseRateMax,
+  } = query;
+
+  const wf = weekFrom !== undefined && weekFrom !== "" ? parseInt(weekFrom, 10) : null;
+  const wt = weekTo !== undefined && weekTo !== "" ? parseInt(weekTo, 10) : null;
+
+  const pMin = pestRateMin !== undefined && pestRateMin !== "" ? Number(pestRateMin) : null;
+  const pMax = pestRateMax !== undefined && pestRateMax !== "" ? Number(pestRateMax) : null;
+  const dMin = diseaseRateMin !== undefined && diseaseRateMin !== "" ? Number(diseaseRateMin) : null;
+  const dMax = diseaseRateMax !== undefined && diseaseRateMax !== "" ? Number(diseaseRateMax) : null;
+
+  const rows = readJSON(FARM_REPORT_FILE);
+
+  const filtered = rows.filter(r => {
+    if (year && String(r.year || "").toLowerCase() !== String(year).toLowerCase()) return false;
+
+    if (wf !== null || wt !== null) {
+      const { start, end } = parseWeekRange(r.weekRange);
+      const s = isNaN(start) ? null : start;
+      const e = isNaN(end) ? s : end;
+      if (s === null) return false;
+
+      if (wf !== null && s < wf) return false;
+      if (wt !== null && e > wt) return false;
+    }
+
+    if (farm && String(r.farm || "").toLowerCase() !== String(farm).toLowerCase()) return false;
+    if (greenhouse && String(r.greenhouse || "").toLowerCase() !== String(greenhouse).toLowerCase()) return false;
+    if (bed && String(r.bed || "").toLowerCase() !== String(bed).toLowerCase()) return false;
+    if (crop && String(r.crop || "").toLowerCase() !== String(crop).toLowerCase()) return false;
+    if (variety && String(r.variety || "").toLowerCase() !== String(variety).toLowerCase()) return false;
+    if (pest && String(r.pest || "").toLowerCase() !== String(pest).toLowerCase()) return false;
+    if (disease && String(r.disease || "").toLowerCase() !== String(disease).toLowerCase()) return false;
+
+    const pr = Number(r.pestRate) || 0;
+    const dr = Number(r.diseaseRate) || 0;
+    if (pMin !== null && pr < pMin) return false;
+    if (pMax !== null && pr > pMax) return false;
+    if (dMin !== null && dr < dMin) return false;
+    if (dMax !== null && dr > dMax) return false;
+
+    return true;
+  });
+
+  // newest first by createdAt if present; otherwise by id desc
+  filtered.sort((a, b) => {
+    const aT = a.createdAt ? new Date(a.createdAt).getTime() : 0;
+    const bT = b.createdAt ? new Date(b.createdAt).getTime() : 0;
+    if (aT !== bT) return bT - aT;
+    return (b.id || 0) - (a.id || 0);
+  });
+
+  return filtered;
+}
+
+// /farmreport/search (existing filtering)
+app.get(
+  "/farmreport/search",
+  requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const filtered = scopeToFarms(req.session.user, filterFarmRows(req.query || {}));
+    res.json(filtered);
+  }
+);
+
+// /farmreport/charts already supports pest & disease and year/farm/greenhouse
+app.get(
+  "/farmreport/charts",
+  requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const { year, farm, greenhouse, pest, disease } = req.query;
+    // we reuse the filter function to keep consistent behavior
+    const filtered = scopeToFarms(req.session.user, filterFarmRows({ year, farm, greenhouse, pest, disease }));
+    // for charts, sort ascending by week start
+    filtered.sort((a, b) => {
+      const aW = parseWeekRange(a.weekRange).start || 0;
+      const bW = parseWeekRange(b.weekRange).start || 0;
+      return aW - bW;
+    });
+    res.json(filtered);
+  }
+);
+
+// Trends: weekly mean pest / disease rate per series (a row counts in its weekRange's start week, as in
+// the efficacy analysis), a trailing moving average, the same ISO week a year earlier, and a linear
+// forecast over the weekly means of the last fitWeeks weeks with a ~95% prediction band.
+const TREND_GROUPS = ["farm", "greenhouse", "pest", "disease"];
+const TREND_METRICS = { pest: "pestRate", disease: "diseaseRate" };
+// Two-sided 95% t values for 1..10 degrees of freedom; wider samples use the normal 1.96
+const T95 = [12.71, 4.3, 3.18, 2.78, 2.57, 2.45, 2.36, 2.31, 2.26, 2.23];
+
+const clampInt = (v, fallback, min, max) => Math.min(Math.max(parseInt(v, 10) || fallback, min), max);
+const weekOfIndex = (wi) => isoWeekOf(new Date(wi * WEEK_MS + 3 * 86400000));
+const weekLabel = (w) => `${w.year}-W${String(w.week).padStart(2, "0")}`;
+
+// Index of the same ISO week a year earlier (null for week 53 when last year had 52)
+function sameWeekLastYear(w) {
+  const wi = weekIndex(w.year - 1, w.week);
+  return weekOfIndex(wi).week === w.week ? wi : null;
+}
+
+// Least-squares line through [{ x, y }]; predict(x) -> { value, low, high }
+function linearForecast(points) {
+  const n = points.length;
+  const xbar = mean(points.map((p) => p.x));
+  const ybar = mean(points.map((p) => p.y));
+  const sxx = points.reduce((t, p) => t + (p.x - xbar) ** 2, 0);
+  const slope = sxx ? points.reduce((t, p) => t + (p.x - xbar) * (p.y - ybar), 0) / sxx : 0;
+  const intercept = ybar - slope * xbar;
+  const sse = points.reduce((t, p) => t + (p.y - (intercept + slope * p.x)) ** 2, 0);
+  const s = n > 2 ? Math.sqrt(sse / (n - 2)) : 0;
+  const t = T95[n - 3] || 1.96;
+  return {
+    slope,
+    predict(x) {
+      const value = intercept + slope * x;
+      const spread = t * s * Math.sqrt(1 + 1 / n + (sxx ? (x - xbar) ** 2 / sxx : 0));
+      return { value: round(Math.max(value, 0)), low: round(Math.max(value - spread, 0)), high: round(Math.max(value + spread, 0)) };
+    },
+  };
+}
+
+// Query: the /farmreport/search filters (year, weekFrom, weekTo, farm, greenhouse, crop, pest, disease...),
+// groupBy (farm | greenhouse | pest | disease, default one series), window (moving average weeks, 3),
+// horizon (forecast weeks, 2-4, default 4), fitWeeks (weeks of figures the forecast is fitted on, 8),
+// weeks (without a year, how many weeks up to a series' latest figure are shown, 52)
+function farmReportTrends(query = {}, user = null) {
+  const groupBy = TREND_GROUPS.includes(query.groupBy) ? query.groupBy : null;
+  const window = clampInt(query.window, 3, 1, 12);
+  const horizon = clampInt(query.horizon, 4, 2, 4);
+  const fitWeeks = clampInt(query.fitWeeks, 8, 3, 26);
+  const span = clampInt(query.weeks, 52, 4, 156);
+  const metrics = groupBy === "pest" ? ["pest"] : groupBy === "disease" ? ["disease"] : ["pest", "disease"];
+  const num = (v) => (v === undefined || v === "" ? null : parseInt(v, 10));
+  const year = num(query.year);
+  const weekFrom = num(query.weekFrom);
+  const weekTo = num(query.weekTo);
+
+  // Year and weeks only bound the series shown; earlier weeks still feed the averages, last year and the fit
+  const filters = { ...query };
+  ["year", "weekFrom", "weekTo"].forEach((k) => delete filters[k]);
+  const rows = scopeToFarms(user, filterFarmRows(filters));
+
+  const groups = new Map();
+  rows.forEach((r) => {
+    const start = parseWeekRange(r.weekRange).start;
+    const y = parseInt(r.year, 10);
+    if (isNaN(start) || isNaN(y)) return;
+    const key = groupBy ? String(r[groupBy] || "").trim() : "All";
+    if (!key) return;
+    const wi = weekIndex(y, start);
+    if (!groups.has(key)) groups.set(key, new Map());
+    const weeks = groups.get(key);
+    if (!weeks.has(wi)) weeks.set(wi, []);
+    weeks.get(wi).push(r);
+  });
+
+  const thresholds = readJSON(THRESHOLDS_FILE);
+  const series = [...groups.entries()]
+    .map(([key, weeks]) => {
+      const means = Object.fromEntries(
+        metrics.map((m) => [m, new Map([...weeks].map(([wi, list]) => [wi, mean(list.map((r) => Number(r[TREND_METRICS[m]]) || 0))]))])
+      );
+      const inSelection = (wi) => {
+        const w = weekOfIndex(wi);
+        return (year === null || w.year === year) && (weekFrom === null || w.week >= weekFrom) && (weekTo === null || w.week <= weekTo);
+      };
+      let shown = [...weeks.keys()].filter(inSelection).sort((a, b) => a - b);
+      if (!shown.length) return null;
+      const last = shown[shown.length - 1];
+      if (year === null) shown = shown.filter((wi) => wi > last - span);
+      const first = shown[0];
+      // Gaps are filled week by week, but never across a year with no figures at all
+      const yearsWithRows = new Set(shown.map((wi) => weekOfIndex(wi).year));
+
+      const out = { key, weeks: [], forecast: {}, trendPerWeek: {}, threshold: {} };
+      for (let wi = first; wi <= last; wi++) {
+        const w = weekOfIndex(wi);
+        if (!yearsWithRows.has(w.year)) continue;
+        const entry = { year: w.year, week: w.week, label: weekLabel(w), n: (weeks.get(wi) || []).length };
+        const lastYearWi = sameWeekLastYear(w);
+        metrics.forEach((m) => {
+          const value = means[m].has(wi) ? means[m].get(wi) : null;
+          const recent = [];
+          for (let k = wi - window + 1; k <= wi; k++) if (means[m].has(k)) recent.push(means[m].get(k));
+          const lastYear = lastYearWi !== null && means[m].has(lastYearWi) ? means[m].get(lastYearWi) : null;
+          entry[m] = {
+            mean: value === null ? null : round(value),
+            movingAvg: recent.length ? round(mean(recent)) : null,
+            lastYear: lastYear === null ? null : round(lastYear),
+            yoyChangePct: value !== null && lastYear ? round(((value - lastYear) / lastYear) * 100, 1) : null,
+          };
+        });
+        out.weeks.push(entry);
+      }
+
+      metrics.forEach((m) => {
+        const t = groupBy === m ? thresholdFor(m, key, query.crop, thresholds) : null;
+        out.threshold[m] = t ? t.threshold : null;
+        const points = [...means[m]]
+          .filter(([wi]) => wi <= last && wi > last - fitWeeks)
+          .map(([x, y]) => ({ x, y }));
+        if (points.length < 3) {
+          out.forecast[m] = [];
+          out.trendPerWeek[m] = null;
+          return;
+        }
+        const fit = linearForecast(points);
+        out.forecast[m] = Array.from({ length: horizon }, (_, i) => {
+          const wi = last + i + 1;
+          const w = weekOfIndex(wi);
+          const lastYearWi = sameWeekLastYear(w);
+          const predicted = fit.predict(wi);
+          return {
+            year: w.year,
+            week: w.week,
+            label: weekLabel(w),
+            ...predicted,
+            lastYear: lastYearWi !== null && means[m].has(lastYearWi) ? round(means[m].get(lastYearWi)) : null,
+            overThreshold: t ? predicted.value > t.threshold : null,
+          };
+        });
+        out.trendPerWeek[m] = round(fit.slope, 3);
+      });
+      return out;
+    })
+    .filter(Boolean)
+    .sort((a, b) => String(a.key).localeCompare(String(b.key), undefined, { numeric: true }));
+
+  return { groupBy, metrics, window, horizon, fitWeeks, weeks: year === null ? span : null, series };
+}
+
+app.get(
+  "/farmreport/trends",
+  requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => res.json(farmReportTrends(req.query || {}, req.session.user))
+);
+
+// NEW: Export farm report to Excel (supports same query params as /farmreport/search)
+// If no query params provided -> exports all rows
+app.get(
+  "/farmreport/export",
+  requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    // re-use filtering
+    const filtered = scopeToFarms(req.session.user, filterFarmRows(req.query || []));
+
+    // map rows to friendly columns for Excel, with CreatedAt in Kenya time
+    const excelRows = filtered.map(r => ({
+      ID: r.id || "",
+      Year: r.year || "",
+      WeekRange: r.weekRange || "",
+      Farm: r.farm || "",
+      Greenhouse: r.greenhouse || "",
+      Bed: r.bed || "",
+      Crop: r.crop || "",
+      Variety: r.variety || "",
+      Pest: r.pest || "",
+      Disease: r.disease || "",
+      PestRate: r.pestRate || 0,
+      DiseaseRate: r.diseaseRate || 0,
+      CreatedAt: r.createdAt ? formatCreatedAtForDisplay(r.createdAt) : "",
+      CreatedAtISO: r.createdAt || ""
+    }));
+
+    // Build workbook
+    const ws = xlsx.utils.json_to_sheet(excelRows);
+    const wb = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(wb, ws, "FarmReport");
+
+    const buf = xlsx.write(wb, { type: "buffer", bookType: "xlsx" });
+
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", "attachment; filename=farmreport_export.xlsx");
+    res.send(buf);
+  }
+);
+// ---------- PHOTO ATTACHMENTS ----------
+// photos.json: { id, entity: "farmreport" | "agro", entityId, day, farm, greenhouse, bed, year, week, caption,
+// originalName, format, bytes, width, height, takenAt (EXIF, else null), latitude, longitude, camera,
+// file, uploadedBy, uploadedAt }. The image is kept as uploaded (it is evidence); a JPEG thumbnail is
+// generated next to it. year / week come from the record the photo is attached to.
+const PHOTO_MAX_BYTES = 8 * 1024 * 1024;
+const PHOTO_MAX_FILES = 6;
+const PHOTO_FORMATS = { jpeg: ".jpg", png: ".png", webp: ".webp" };
+const PHOTO_THUMB_PX = 320;
+
+const PHOTO_ENTITIES = {
+  farmreport: {
+    file: FARM_REPORT_FILE,
+    place: (r) => ({ farm: r.farm, greenhouse: r.greenhouse, bed: r.bed || "", year: parseInt(r.year, 10) || null, week: parseWeekRange(r.weekRange).start || null }),
+  },
+  agro: {
+    file: AGRO_FILE,
+    place: (r) => ({ farm: r.farm, greenhouse: r.gh, bed: r.bed || "", ...programWeekOf(r) }),
+  },
+};
+
+const photoUpload = multer({
+  dest: "uploads/",
+  limits: { fileSize: PHOTO_MAX_BYTES, files: PHOTO_MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (/^image\/(jpeg|png|webp)$/.test(file.mimetype)) return cb(null, true);
+    const err = new Error(`${file.originalname}: only JPEG, PNG or WebP photos`);
+    err.code = "PHOTO_TYPE";
+    cb(err);
+  },
+});
+
+// multer's limit errors as the usual { success: false, message } body
+function receivePhotos(req, res, next) {
+  photoUpload.array("photos", PHOTO_MAX_FILES)(req, res, (err) => {
+    if (!err) return next();
+    const message =
+      err.code === "LIMIT_FILE_SIZE" ? `Each photo must be under ${PHOTO_MAX_BYTES / 1024 / 1024} MB`
+      : err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE" ? `Up to ${PHOTO_MAX_FILES} photos at a time`
+      : err.message;
+    const status = { LIMIT_FILE_SIZE: 413, PHOTO_TYPE: 415 }[err.code] || 400;
+    res.status(status).json({ success: false, message });
+  });
+}
+
+function publicPhoto(p) {
+  return { ...p, url: `/photos/${p.id}/image`, thumbUrl: `/photos/${p.id}/thumb` };
+}
+
+function filterPhotos(query = {}) {
+  const { entity, entityId, farm, greenhouse, year, week } = query;
+  return readJSON(PHOTOS_FILE).filter(
+    (p) =>
+      (!entity || p.entity === entity) &&
+      (!entityId || p.entityId === Number(entityId)) &&
+      (!farm || siteCode(p.farm) === siteCode(farm)) &&
+      (!greenhouse || siteCode(p.greenhouse) === siteCode(greenhouse)) &&
+      (!year || p.year === Number(year)) &&
+      (!week || p.week === Number(week))
+  );
+}
+
+// Reads the image (rejecting anything sharp cannot decode, whatever its extension), its EXIF, and
+// writes the thumbnail. Returns the metadata for the photos.json record.
+async function processPhoto(file, id) {
+  const image = sharp(file.path);
+  const meta = await image.metadata().catch(() => null);
+  if (!meta || !PHOTO_FORMATS[meta.format]) throw new Error(`${file.originalname} is not a JPEG, PNG or WebP image`);
+  const exif = await exifr.parse(file.path).catch(() => null);
+  const taken = exif && (exif.DateTimeOriginal || exif.CreateDate);
+  const name = `${id}${PHOTO_FORMATS[meta.format]}`;
+  await sharp(file.path)
+    .rotate() // honour the camera's orientation flag
+    .resize({ width: PHOTO_THUMB_PX, height: PHOTO_THUMB_PX, fit: "inside", withoutEnlargement: true })
+    .jpeg({ quality: 72 })
+    .toFile(path.join(THUMBS_DIR, `${id}.jpg`));
+  fs.renameSync(file.path, path.join(PHOTOS_DIR, name));
+  const portrait = meta.orientation >= 5; // EXIF orientations 5-8 swap width and height
+  return {
+    originalName: file.originalname,
+    format: meta.format,
+    bytes: file.size,
+    width: portrait ? meta.height : meta.width,
+    height: portrait ? meta.width : meta.height,
+    takenAt: taken instanceof Date && !isNaN(taken) ? taken.toISOString() : null,
+    latitude: exif && typeof exif.latitude === "number" ? round(exif.latitude, 6) : null,
+    longitude: exif && typeof exif.longitude === "number" ? round(exif.longitude, 6) : null,
+    camera: exif ? [exif.Make, exif.Model].filter(Boolean).join(" ") : "",
+    file: name,
+  };
+}
+
+app.get(
+  "/photos",
+  requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const rows = scopeToFarms(req.session.user, filterPhotos(req.query || {}));
+    rows.sort((a, b) => String(b.takenAt || b.uploadedAt).localeCompare(String(a.takenAt || a.uploadedAt)) || b.id - a.id);
+    res.json(rows.map(publicPhoto));
+  }
+);
+
+// { entityId: count } for one entity type, for the camera badges in the tables
+app.get(
+  "/photos/counts",
+  requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const counts = {};
+    scopeToFarms(req.session.user, filterPhotos({ entity: req.query.entity })).forEach((p) => (counts[p.entityId] = (counts[p.entityId] || 0) + 1));
+    res.json(counts);
+  }
+);
+
+app.get(
+  "/photos/:id/:size(image|thumb)",
+  requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const p = readJSON(PHOTOS_FILE).find((x) => x.id === Number(req.params.id));
+    if (!p) return res.status(404).json({ success: false, message: "Not found" });
+    if (!canAccessFarm(req.session.user, p.farm)) return farmForbidden(res, [p.farm]);
+    const file = req.params.size === "thumb" ? path.join(THUMBS_DIR, `${p.id}.jpg`) : path.join(PHOTOS_DIR, p.file);
+    if (!fs.existsSync(file)) return res.status(404).json({ success: false, message: "Image file missing" });
+    res.set("Cache-Control", "private, max-age=86400");
+    res.sendFile(file);
+  }
+);
+
+// multipart: entity, entityId, [day], [caption], photos (1-6 files)
+app.post(
+  "/photos",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  receivePhotos,
+  async (req, res) => {
+    const files = req.files || [];
+    const cleanup = () => files.forEach((f) => fs.existsSync(f.path) && fs.unlink(f.path, () => {}));
+    const body = req.body || {};
+    const kind = PHOTO_ENTITIES[body.entity];
+    const fail = (status, message) => {
+      cleanup();
+      res.status(status).json({ success: false, message });
+    };
+    if (!kind) return fail(400, `entity must be one of ${Object.keys(PHOTO_ENTITIES).join(", ")}`);
+    if (!files.length) return fail(400, "No JPEG, PNG or WebP photos received");
+    const record = readJSON(kind.file).find((r) => r.id === Number(body.entityId));
+    if (!record) return fail(404, `${body.entity} record ${body.entityId} not found`);
+    if (!canAccessFarm(req.session.user, record.farm)) return fail(403, `You don't have access to farm ${record.farm}`);
+    const day = String(body.day || "").trim();
+    if (day && !DAYS.includes(day)) return fail(400, "day must be mon..sun");
+
+    const created = [];
+    const removeCreated = () =>
+      created.forEach((c) => {
+        fs.unlink(path.join(PHOTOS_DIR, c.file), () => {});
+        fs.unlink(path.join(THUMBS_DIR, `${c.id}.jpg`), () => {});
+      });
+    try {
+      for (const f of files) {
+        const id = allocateId(PHOTOS_FILE);
+        created.push({ id, ...(await processPhoto(f, id)) });
+      }
+    } catch (err) {
+      removeCreated();
+      return fail(400, err.message);
+    }
+
+    const place = kind.place(record);
+    const now = new Date().toISOString();
+    const photos = created.map((c) => {
+      const week = place.year && place.week ? place : isoWeekOf(new Date(c.takenAt || now));
+      return {
+        id: c.id,
+        entity: body.entity,
+        entityId: record.id,
+        day,
+        farm: String(place.farm || ""),
+        greenhouse: String(place.greenhouse || ""),
+        bed: String(place.bed || ""),
+        year: week.year,
+        week: week.week,
+        caption: String(body.caption || "").trim(),
+        ...c,
+        uploadedBy: req.session.user.username,
+        uploadedAt: now,
+      };
+    });
+    // Image processing is async, so the request's transaction is long gone: the record is read and
+    // written in one of its own, and a failure takes the processed files with it
+    try {
+      storage.transaction(() => writeJSON(PHOTOS_FILE, [...readJSON(PHOTOS_FILE), ...photos]));
+    } catch (err) {
+      console.error("Saving photos failed:", err);
+      removeCreated();
+      return fail(500, "Saving the photos failed");
+    }
+    res.json({ success: true, photos: photos.map(publicPhoto) });
+  }
+);
+
+// Uploaders may remove their own photos; Agronomist / GM anyone's
+app.delete(
+  "/photos/:id",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const rows = readJSON(PHOTOS_FILE);
+    const p = rows.find((r) => r.id === Number(req.params.id));
+    if (!p) return res.status(404).json({ success: false, message: "Not found" });
+    const user = req.session.user;
+    if (!canAccessFarm(user, p.farm)) return farmForbidden(res, [p.farm]);
+    if (user.role === ROLES.Supervisor && p.uploadedBy !== user.username)
+      return res.status(403).json({ success: false, message: "Only the person who uploaded it can delete it" });
+    writeJSON(PHOTOS_FILE, rows.filter((r) => r !== p));
+    fs.unlink(path.join(PHOTOS_DIR, p.file), () => {});
+    fs.unlink(path.join(THUMBS_DIR, `${p.id}.jpg`), () => {});
+    res.json({ success: true });
+  }
+);
+
+// ---------- SCOUTING ----------
+// Per-bed observations: { id, year, week, farm, greenhouse, bed, section, kind: "pest" | "disease",
+// name, count, severity (0-5), stage, notes, createdBy, createdAt }. An observation's value is its
+// count, or its severity score when nothing was counted.
+// Each bed + week is rolled up into one farm report row (source: "scouting"): the most abundant pest
+// and disease with their totals. Those rows are rebuilt whenever the week's scouting changes.
+const SCOUTING_KINDS = ["pest", "disease"];
+const SCOUTING_MAX_SEVERITY = 5;
+
+function observationValue(o) {
+  return o.count !== null && o.count !== undefined ? o.count : o.severity || 0;
+}
+
+// Beds and sections sort numerically where they are numbers ("2" before "10")
+function compareSiteCodes(a, b) {
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+function scoutingKey(o) {
+  return [o.year, o.week, siteCode(o.farm), siteCode(o.greenhouse)].join("|");
+}
+
+// Returns { errors, observation } for one submitted observation
+function buildObservation(body, user) {
+  const errors = [];
+  const optionalNumber = (v) => (v === undefined || v === null || String(v).trim() === "" ? null : Number(v));
+  const when = body.observedAt ? new Date(body.observedAt) : new Date();
+  const weekOf = parseProgramWeek(body.year, body.week) || isoWeekOf(isNaN(when) ? new Date() : when);
+  const o = {
+    year: weekOf.year,
+    week: weekOf.week,
+    farm: String(body.farm || "").trim(),
+    greenhouse: String(body.greenhouse || body.gh || "").trim(),
+    bed: String(body.bed || "").trim(),
+    section: String(body.section || "").trim(),
+    kind: String(body.kind || "").trim().toLowerCase(),
+    name: String(body.name || "").trim(),
+    count: optionalNumber(body.count),
+    severity: optionalNumber(body.severity),
+    stage: String(body.stage || "").trim(),
+    notes: String(body.notes || "").trim(),
+    createdBy: user ? user.username : "",
+    createdAt: new Date().toISOString(),
+  };
+  if (!o.farm || !o.greenhouse || !o.bed) errors.push("farm, greenhouse and bed are required");
+  if (o.bed.toLowerCase() === "all") errors.push('Scouting is recorded per bed, not "all"');
+  if (!SCOUTING_KINDS.includes(o.kind)) errors.push(`kind must be one of ${SCOUTING_KINDS.join(", ")}`);
+  if (!o.name) errors.push("name (the pest or disease) is required");
+  if (o.count !== null && (isNaN(o.count) || o.count < 0)) errors.push("count must be a number >= 0");
+  if (o.severity !== null && (!Number.isInteger(o.severity) || o.severity < 0 || o.severity > SCOUTING_MAX_SEVERITY))
+    errors.push(`severity must be a whole score from 0 to ${SCOUTING_MAX_SEVERITY}`);
+  if (o.count === null && o.severity === null) errors.push("Give a count or a severity score");
+  if (!errors.length) {
+    resolveSites([o], "greenhouse").forEach((e) => errors.push(e.message));
+  }
+  return { errors, observation: o };
+}
+
+// Totals per name for one kind, most abundant first
+function scoutingTotals(observations, kind) {
+  const byName = {};
+  observations
+    .filter((o) => o.kind === kind)
+    .forEach((o) => {
+      const key = o.name.toLowerCase();
+      const t = byName[key] || (byName[key] = { kind, name: o.name, total: 0, observations: 0, sections: new Set() });
+      t.total += observationValue(o);
+      t.observations++;
+      if (o.section) t.sections.add(o.section);
+    });
+  return Object.values(byName)
+    .map((t) => ({ ...t, total: round(t.total, 2), sections: [...t.sections].sort(compareSiteCodes) }))
+    .sort((a, b) => b.total - a.total);
+}
+
+// Rebuild the scouting-sourced farm report rows for the given year|week|farm|greenhouse keys
+function rollUpScouting(keys, req) {
+  const wanted = new Set(keys);
+  if (!wanted.size) return;
+  const observations = readJSON(SCOUTING_FILE).filter((o) => wanted.has(scoutingKey(o)));
+  const reports = readJSON(FARM_REPORT_FILE);
+  const reportKey = (r) => [r.year, r.weekRange, siteCode(r.farm), siteCode(r.greenhouse)].join("|");
+  const previous = new Map(
+    reports
+      .filter((r) => r.source === "scouting" && wanted.has(reportKey(r)))
+      .map((r) => [`${reportKey(r)}|${siteCode(r.bed)}`, r])
+  );
+
+  const beds = {};
+  observations.forEach((o) => {
+    const k = `${scoutingKey(o)}|${siteCode(o.bed)}`;
+    (beds[k] = beds[k] || []).push(o);
+  });
+
+  const rebuilt = Object.entries(beds).map(([k, obs]) => {
+    const first = obs[0];
+    const pests = scoutingTotals(obs, "pest");
+    const diseases = scoutingTotals(obs, "disease");
+    const before = previous.get(k);
+    const entry = {
+      id: before ? before.id : allocateId(FARM_REPORT_FILE),
+      year: String(first.year),
+      weekRange: String(first.week),
+      farm: first.farm,
+      greenhouse: first.greenhouse,
+      bed: first.bed,
+      crop: "",
+      variety: "",
+      pest: pests.length ? pests[0].name : "",
+      disease: diseases.length ? diseases[0].name : "",
+      pestRate: pests.length ? pests[0].total : 0,
+      diseaseRate: diseases.length ? diseases[0].total : 0,
+      source: "scouting",
+      observations: obs.length,
+      scoutingDetail: [...pests, ...diseases],
+      createdAt: before ? before.createdAt : new Date().toISOString(),
+    };
+    resolveSites([entry], "greenhouse");
+    return entry;
+  });
+
+  // Rebuilt rows keep their place in the file, new ones go at the end, beds no longer scouted drop out
+  const rebuiltById = new Map(rebuilt.map((r) => [r.id, r]));
+  const existingIds = new Set(reports.map((r) => r.id));
+  const merged = reports
+    .filter((r) => !(r.source === "scouting" && wanted.has(reportKey(r))) || rebuiltById.has(r.id))
+    .map((r) => rebuiltById.get(r.id) || r);
+  rebuilt.filter((r) => !existingIds.has(r.id)).forEach((r) => merged.push(r));
+  writeAudited("farmreport", merged, req);
+  raiseThresholdAlerts(rebuilt);
+}
+
+function filterScouting(query = {}) {
+  const { farm, greenhouse, bed, kind, name } = query;
+  return readJSON(SCOUTING_FILE).filter(
+    (o) =>
+      matchesProgramWeek(o, query) &&
+      (!farm || siteCode(o.farm) === siteCode(farm)) &&
+      (!greenhouse || siteCode(o.greenhouse) === siteCode(greenhouse)) &&
+      (!bed || siteCode(o.bed) === siteCode(bed)) &&
+      (!kind || o.kind === String(kind).toLowerCase()) &&
+      (!name || o.name.toLowerCase() === String(name).toLowerCase())
+  );
+}
+
+app.get(
+  "/scouting",
+  requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const rows = scopeToFarms(req.session.user, filterScouting(req.query || {}));
+    rows.sort((a, b) => b.year - a.year || b.week - a.week || (b.id || 0) - (a.id || 0));
+    res.json(rows);
+  }
+);
+
+// One observation, or { observations: [...] } for a whole walk of a greenhouse
+app.post(
+  "/scouting",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const body = req.body || {};
+    const submitted = Array.isArray(body.observations) ? body.observations : [body];
+    if (!submitted.length) return res.status(400).json({ success: false, message: "No observations" });
+
+    const errors = [];
+    const built = submitted.map((item, i) => {
+      const { errors: e, observation } = buildObservation(item || {}, req.session.user);
+      e.forEach((message) => errors.push({ index: i, message }));
+      return observation;
+    });
+    if (errors.length)
+      return res.status(400).json({ success: false, message: errors[0].message, errors });
+    const denied = built.filter((o) => !canAccessFarm(req.session.user, o.farm));
+    if (denied.length) return farmForbidden(res, denied.map((o) => o.farm));
+
+    const rows = readJSON(SCOUTING_FILE);
+    built.forEach((o) => {
+      o.id = allocateId(SCOUTING_FILE);
+      rows.push(o);
+    });
+    writeAudited("scouting", rows, req);
+    rollUpScouting(built.map(scoutingKey), req);
+    res.json({ success: true, ids: built.map((o) => o.id) });
+  }
+);
+
+// Scouts may remove their own entries; Agronomist / GM anyone's
+app.delete(
+  "/scouting/:id",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const rows = readJSON(SCOUTING_FILE);
+    const o = rows.find((r) => r.id === Number(req.params.id));
+    if (!o) return res.status(404).json({ success: false, message: "Not found" });
+    const user = req.session.user;
+    if (!canAccessFarm(user, o.farm)) return farmForbidden(res, [o.farm]);
+    if (user.role === ROLES.Supervisor && o.createdBy !== user.username)
+      return res.status(403).json({ success: false, message: "Only the scout who recorded it can delete it" });
+    writeAudited("scouting", rows.filter((r) => r !== o), req);
+    rollUpScouting([scoutingKey(o)], req);
+    res.json({ success: true });
+  }
+);
+
+// Heatmap for one greenhouse: { beds, weeks, byWeek: bed x week totals over the year,
+// sections, bySection: bed x section totals for the selected week, max }. kind / name narrow it down.
+app.get(
+  "/scouting/heatmap",
+  requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const { farm, greenhouse, kind, name } = req.query;
+    const year = parseInt(req.query.year, 10) || isoWeekOf(new Date()).year;
+    if (!farm || !greenhouse)
+      return res.status(400).json({ success: false, message: "farm and greenhouse required" });
+    if (!canAccessFarm(req.session.user, farm)) return farmForbidden(res, [farm]);
+
+    const obs = scopeToFarms(req.session.user, filterScouting({ year, farm, greenhouse, kind, name }));
+    const week = parseInt(req.query.week, 10) || obs.reduce((m, o) => Math.max(m, o.week), 0) || null;
+
+    const registered = readJSON(SITES_FILE)
+      .filter((s) => s.type === "bed" && siteCode(s.farm) === siteCode(farm) && siteCode(s.gh) === siteCode(greenhouse))
+      .map((s) => s.bed);
+    const beds = [...new Set([...registered, ...obs.map((o) => o.bed)])].sort(compareSiteCodes);
+    const weeks = [...new Set(obs.map((o) => o.week))].sort((a, b) => a - b);
+
+    const cell = (list) => {
+      const top = [...scoutingTotals(list, "pest"), ...scoutingTotals(list, "disease")].sort((a, b) => b.total - a.total)[0];
+      return {
+        value: round(list.reduce((sum, o) => sum + observationValue(o), 0), 2),
+        observations: list.length,
+        top: top ? `${top.name} (${top.total})` : "",
+      };
+    };
+    const group = (list, keyOf) => {
+      const out = {};
+      list.forEach((o) => (out[keyOf(o)] = out[keyOf(o)] || []).push(o));
+      return out;
+    };
+
+    const byWeek = {};
+    Object.entries(group(obs, (o) => `${siteCode(o.bed)}|${o.week}`)).forEach(([k, list]) => (byWeek[k] = cell(list)));
+    const weekObs = obs.filter((o) => o.week === week);
+    const sections = [...new Set(weekObs.map((o) => o.section || "-"))].sort(compareSiteCodes);
+    const bySection = {};
+    Object.entries(group(weekObs, (o) => `${siteCode(o.bed)}|${o.section || "-"}`)).forEach(([k, list]) => (bySection[k] = cell(list)));
+
+    res.json({
+      year,
+      week,
+      beds: beds.map((b) => ({ bed: b, key: siteCode(b) })),
+      weeks,
+      byWeek,
+      sections,
+      bySection,
+      maxByWeek: Math.max(0, ...Object.values(byWeek).map((c) => c.value)),
+      maxBySection: Math.max(0, ...Object.values(bySection).map((c) => c.value)),
+    });
+  }
+);
+
+// ---------- ACTION THRESHOLDS & ALERTS ----------
+// Thresholds: { id, kind: "pest" | "disease", name, crop, threshold, notes }. A blank crop applies to
+// every crop; a crop-specific threshold wins over the blank one for that crop.
+// Alerts: { id, status, kind, name, crop, threshold, value, farm, greenhouse, bed, year, weekRange,
+// farmReportId, createdAt, updatedAt, emailedAt, history: [{ status, by, at, comment }] }.
+// One alert per farm report row + pest / disease; later figures for the same row update it.
+const ALERT_STATUS = { open: "open", acknowledged: "acknowledged", resolved: "resolved" };
+
+function thresholdFor(kind, name, crop, thresholds = readJSON(THRESHOLDS_FILE)) {
+  const key = String(name || "").trim().toLowerCase();
+  const cropKey = String(crop || "").trim().toLowerCase();
+  if (!key) return null;
+  const matching = thresholds.filter((t) => t.kind === kind && t.name.toLowerCase() === key);
+  return (
+    (cropKey && matching.find((t) => t.crop && t.crop.toLowerCase() === cropKey)) ||
+    matching.find((t) => !t.crop) ||
+    null
+  );
+}
+
+// The pest / disease figures on a farm report row: every name a scouting roll-up saw, else the row's own pair
+function reportFigures(entry) {
+  if (Array.isArray(entry.scoutingDetail) && entry.scoutingDetail.length)
+    return entry.scoutingDetail.map((d) => ({ kind: d.kind, name: d.name, value: d.total }));
+  return [
+    { kind: "pest", name: entry.pest, value: Number(entry.pestRate) || 0 },
+    { kind: "disease", name: entry.disease, value: Number(entry.diseaseRate) || 0 },
+  ].filter((f) => String(f.name || "").trim());
+}
+
+function appendAlertHistory(alert, status, user, comment = "") {
+  alert.status = status;
+  alert.history = [...(alert.history || []), { status, by: user ? user.username : "system", at: new Date().toISOString(), comment }];
+}
+
+// Checks farm report rows against the thresholds; returns the alerts created or raised
+function raiseThresholdAlerts(entries) {
+  const thresholds = readJSON(THRESHOLDS_FILE);
+  if (!thresholds.length) return [];
+  const alerts = readJSON(ALERTS_FILE);
+  const touched = [];
+  const now = new Date().toISOString();
+
+  entries.forEach((entry) => {
+    reportFigures(entry).forEach(({ kind, name, value }) => {
+      const t = thresholdFor(kind, name, entry.crop, thresholds);
+      if (!t || !(value > t.threshold)) return;
+      const same = alerts.filter(
+        (a) => a.farmReportId === entry.id && a.kind === kind && a.name.toLowerCase() === name.toLowerCase()
+      );
+      const live = same.find((a) => a.status !== ALERT_STATUS.resolved);
+      if (live) {
+        if (live.value === value) return;
+        Object.assign(live, { value, threshold: t.threshold, updatedAt: now });
+        touched.push(live);
+        return;
+      }
+      // A resolved alert only comes back if the figure has grown since
+      if (same.some((a) => value <= a.value)) return;
+      const alert = {
+        id: allocateId(ALERTS_FILE),
+        kind,
+        name,
+        crop: entry.crop || "",
+        thresholdId: t.id,
+        threshold: t.threshold,
+        value,
+        farm: entry.farm,
+        greenhouse: entry.greenhouse,
+        bed: entry.bed,
+        year: entry.year,
+        weekRange: entry.weekRange,
+        farmReportId: entry.id,
+        createdAt: now,
+        updatedAt: now,
+        emailedAt: null,
+      };
+      appendAlertHistory(alert, ALERT_STATUS.open, null, `${name} at ${value} (threshold ${t.threshold})`);
+      alerts.push(alert);
+      touched.push(alert);
+    });
+  });
+
+  if (touched.length) writeJSON(ALERTS_FILE, alerts);
+  return touched;
+}
+
+app.get(
+  "/thresholds",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => res.json(readJSON(THRESHOLDS_FILE))
+);
+
+// Upsert by id, or by kind + name + crop
+app.post(
+  "/thresholds",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const body = req.body || {};
+    const t = {
+      kind: String(body.kind || "").trim().toLowerCase(),
+      name: String(body.name || "").trim(),
+      crop: String(body.crop || "").trim(),
+      threshold: Number(body.threshold),
+      notes: String(body.notes || "").trim(),
+    };
+    if (!SCOUTING_KINDS.includes(t.kind))
+      return res.status(400).json({ success: false, message: `kind must be one of ${SCOUTING_KINDS.join(", ")}` });
+    if (!t.name) return res.status(400).json({ success: false, message: "name required" });
+    if (String(body.threshold ?? "").trim() === "" || isNaN(t.threshold) || t.threshold < 0)
+      return res.status(400).json({ success: false, message: "threshold must be a number >= 0" });
+
+    const rows = readJSON(THRESHOLDS_FILE);
+    const sameKey = (r) => r.kind === t.kind && r.name.toLowerCase() === t.name.toLowerCase() && r.crop.toLowerCase() === t.crop.toLowerCase();
+    const idx = body.id ? rows.findIndex((r) => r.id === Number(body.id)) : rows.findIndex(sameKey);
+    if (body.id && idx === -1) return res.status(404).json({ success: false, message: "Not found" });
+    if (rows.some((r, i) => i !== idx && sameKey(r)))
+      return res.status(409).json({ success: false, message: "A threshold for that pest / disease and crop already exists" });
+
+    const saved = idx === -1 ? { id: allocateId(THRESHOLDS_FILE), ...t } : { ...rows[idx], ...t };
+    if (idx === -1) rows.push(saved);
+    else rows[idx] = saved;
+    writeJSON(THRESHOLDS_FILE, rows);
+    res.json({ success: true, threshold: saved });
+  }
+);
+
+app.delete(
+  "/thresholds/:id",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const rows = readJSON(THRESHOLDS_FILE);
+    const kept = rows.filter((r) => r.id !== Number(req.params.id));
+    if (kept.length === rows.length) return res.status(404).json({ success: false, message: "Not found" });
+    writeJSON(THRESHOLDS_FILE, kept);
+    res.json({ success: true });
+  }
+);
+
+// Notification feed, newest first; defaults to everything not yet resolved
+app.get(
+  "/alerts",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const { status, farm, greenhouse } = req.query;
+    let alerts = scopeToFarms(req.session.user, readJSON(ALERTS_FILE));
+    if (!status) alerts = alerts.filter((a) => a.status !== ALERT_STATUS.resolved);
+    else if (status !== "all") alerts = alerts.filter((a) => a.status === status);
+    if (farm) alerts = alerts.filter((a) => siteCode(a.farm) === siteCode(farm));
+    if (greenhouse) alerts = alerts.filter((a) => siteCode(a.greenhouse) === siteCode(greenhouse));
+    const limit = Math.min(Number(req.query.limit) || 200, 1000);
+    res.json(alerts.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt) || b.id - a.id).slice(0, limit));
+  }
+);
+
+// Badge counts for the nav bar
+app.get(
+  "/alerts/summary",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const alerts = scopeToFarms(req.session.user, readJSON(ALERTS_FILE));
+    const count = (status) => alerts.filter((a) => a.status === status).length;
+    res.json({ open: count(ALERT_STATUS.open), acknowledged: count(ALERT_STATUS.acknowledged) });
+  }
+);
+
+const ALERT_TRANSITIONS = {
+  acknowledge: [[ALERT_STATUS.open], ALERT_STATUS.acknowledged],
+  resolve: [[ALERT_STATUS.open, ALERT_STATUS.acknowledged], ALERT_STATUS.resolved],
+  reopen: [[ALERT_STATUS.resolved, ALERT_STATUS.acknowledged], ALERT_STATUS.open],
+};
+
+app.post(
+  "/alerts/:id/:action(acknowledge|resolve|reopen)",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const [from, to] = ALERT_TRANSITIONS[req.params.action];
+    const alerts = readJSON(ALERTS_FILE);
+    const alert = alerts.find((a) => a.id === Number(req.params.id));
+    if (!alert) return res.status(404).json({ success: false, message: "Not found" });
+    if (!canAccessFarm(req.session.user, alert.farm)) return farmForbidden(res, [alert.farm]);
+    if (!from.includes(alert.status))
+      return res.status(409).json({ success: false, message: `Alert is ${alert.status}` });
+    appendAlertHistory(alert, to, req.session.user, String((req.body || {}).comment || "").trim());
+    alert.updatedAt = new Date().toISOString();
+    writeJSON(ALERTS_FILE, alerts);
+    res.json({ success: true, alert });
+  }
+);
+
+// SMTP password is write-only
+function publicAlertSettings() {
+  const cfg = getSettings().alerts;
+  return { ...cfg, smtp: { ...cfg.smtp, pass: cfg.smtp.pass ? "********" : "" } };
+}
+
+app.get(
+  "/alerts/settings",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => res.json(publicAlertSettings())
+);
+
+app.post(
+  "/alerts/settings",
+  requireAnyRoleApi([ROLES.GeneralManager]),
+  (req, res) => {
+    const body = req.body || {};
+    const current = getSettings().alerts;
+    const digestHours = Number(body.digestHours ?? current.digestHours);
+    if (isNaN(digestHours) || digestHours < 0)
+      return res.status(400).json({ success: false, message: "digestHours must be a number >= 0" });
+    const smtpIn = body.smtp || {};
+    const smtp = { ...current.smtp };
+    ["host", "user", "from"].forEach((k) => { if (smtpIn[k] !== undefined) smtp[k] = String(smtpIn[k]).trim(); });
+    if (smtpIn.port !== undefined) smtp.port = parseInt(smtpIn.port, 10) || 25;
+    if (smtpIn.secure !== undefined) smtp.secure = smtpIn.secure === true || smtpIn.secure === "true";
+    if (smtpIn.pass !== undefined && smtpIn.pass !== "********") smtp.pass = String(smtpIn.pass);
+    saveSettings("alerts", {
+      digestHours,
+      recipients: String(body.recipients ?? current.recipients).trim(),
+      smtp,
+    });
+    scheduleAlertDigest();
+    res.json({ success: true, alerts: publicAlertSettings() });
+  }
+);
+
+// E-mails every unresolved alert that hasn't been sent yet as one message
+async function sendAlertDigest() {
+  const cfg = getSettings().alerts;
+  const recipients = String(cfg.recipients || "").split(/[,;\s]+/).filter(Boolean);
+  if (!cfg.smtp.host) return { sent: 0, message: "No SMTP host configured" };
+  if (!recipients.length) return { sent: 0, message: "No recipients configured" };
+
+  const pending = readJSON(ALERTS_FILE).filter((a) => !a.emailedAt && a.status !== ALERT_STATUS.resolved);
+  if (!pending.length) return { sent: 0, message: "No new alerts" };
+
+  const line = (a) =>
+    `${a.kind === "pest" ? "Pest" : "Disease"} ${a.name}: ${a.value} (threshold ${a.threshold}) — farm ${a.farm} GH ${a.greenhouse}` +
+    `${a.bed && a.bed !== "all" ? " bed " + a.bed : ""}, week ${a.weekRange}/${a.year} [${a.status}]`;
+  const transport = nodemailer.createTransport({
+    host: cfg.smtp.host,
+    port: cfg.smtp.port,
+    secure: cfg.smtp.secure,
+    auth: cfg.smtp.user ? { user: cfg.smtp.user, pass: cfg.smtp.pass } : undefined,
+  });
+  await transport.sendMail({
+    from: cfg.smtp.from,
+    to: recipients.join(", "),
+    subject: `LathySpray: ${pending.length} pest / disease threshold alert(s)`,
+    text: `The following readings are over their action thresholds:\n\n${pending.map(line).join("\n")}\n`,
+  });
+
+  const ids = new Set(pending.map((a) => a.id));
+  const at = new Date().toISOString();
+  storage.transaction(() => {
+    const alerts = readJSON(ALERTS_FILE);
+    alerts.forEach((a) => { if (ids.has(a.id)) a.emailedAt = at; });
+    writeJSON(ALERTS_FILE, alerts);
+  });
+  return { sent: pending.length, message: `Sent ${pending.length} alert(s) to ${recipients.join(", ")}` };
+}
+
+let alertDigestTimer = null;
+function scheduleAlertDigest() {
+  if (alertDigestTimer) clearInterval(alertDigestTimer);
+  alertDigestTimer = null;
+  const hours = Number(getSettings().alerts.digestHours) || 0;
+  if (hours <= 0) return;
+  alertDigestTimer = setInterval(() => {
+    sendAlertDigest()
+      .then((r) => r.sent && console.log(r.message))
+      .catch((err) => console.error("Alert digest failed:", err.message));
+  }, hours * 3600 * 1000);
+}
+
+app.post(
+  "/alerts/digest",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  async (req, res) => {
+    try {
+      const result = await sendAlertDigest();
+      res.json({ success: true, ...result });
+    } catch (err) {
+      console.error("Alert digest failed:", err);
+      res.status(502).json({ success: false, message: `Mail server error: ${err.message}` });
+    }
+  }
+);
+
+// ---------- SPRAY EFFICACY ----------
+// Links each application (published program rows, minus sprays the execution log says were skipped
+// or rescheduled) to the farm report figures for its target in the same greenhouse. "before" is the
+// mean over the application week and the weeksBefore weeks preceding it, "after" the mean over the
+// weeksAfter weeks that follow; reduction is (before - after) / before.
+const WEEK_MS = 7 * 86400000;
+
+// Consecutive week number, so offsets work across year ends
+function weekIndex(year, week) {
+  return Math.round(isoWeekMonday(year, week).getTime() / WEEK_MS);
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+// One application per chemical + target + greenhouse + week
+function efficacyApplications(query = {}, user = null) {
+  const programs = readJSON(PROGRAMS_FILE);
+  const executions = readJSON(EXECUTIONS_FILE);
+  const done = new Map(executions.map((e) => [`${e.agroId}|${e.day}`, e]));
+  const apps = new Map();
+
+  readJSON(AGRO_FILE).forEach((row) => {
+    if (programStatusOf(row, programs) !== PROGRAM_STATUS.published) return;
+    const when = parseProgramWeek(row.year, row.week);
+    const target = String(row.target || "").trim();
+    if (!when || !target) return;
+    if (query.farm && siteCode(row.farm) !== siteCode(query.farm)) return;
+    if (!canAccessFarm(user, row.farm)) return;
+    if (query.gh && siteCode(row.gh) !== siteCode(query.gh)) return;
+    if (query.year && when.year !== parseInt(query.year, 10)) return;
+    if (query.target && target.toLowerCase() !== String(query.target).toLowerCase()) return;
+
+    DAYS.forEach((day) => {
+      const exec = done.get(`${row.id}|${day}`);
+      if (exec && exec.status !== "done") return;
+      const chemical = String((exec && exec.actual && exec.actual.chemical) || row[`${day}_chemical`] || "").trim();
+      if (!chemical) return;
+      if (query.chemical && chemical.toLowerCase() !== String(query.chemical).toLowerCase()) return;
+      const key = [chemical.toLowerCase(), target.toLowerCase(), siteCode(row.farm), siteCode(row.gh), when.year, when.week].join("|");
+      if (!apps.has(key))
+        apps.set(key, { chemical, target, farm: row.farm, gh: row.gh, year: when.year, week: when.week, rowIds: [] });
+      if (!apps.get(key).rowIds.includes(row.id)) apps.get(key).rowIds.push(row.id);
+    });
+  });
+  return [...apps.values()];
+}
+
+// farm|gh|target -> Map(weekIndex -> mean figure that week across the greenhouse's report rows)
+function targetSeries(reports) {
+  const acc = new Map();
+  reports.forEach((r) => {
+    const start = parseWeekRange(r.weekRange).start;
+    const year = parseInt(r.year, 10);
+    if (isNaN(start) || isNaN(year)) return;
+    const wi = weekIndex(year, start);
+    reportFigures(r).forEach(({ name, value }) => {
+      const key = [siteCode(r.farm), siteCode(r.greenhouse), String(name).trim().toLowerCase()].join("|");
+      if (!acc.has(key)) acc.set(key, new Map());
+      const weeks = acc.get(key);
+      if (!weeks.has(wi)) weeks.set(wi, []);
+      weeks.get(wi).push(Number(value) || 0);
+    });
+  });
+  const out = new Map();
+  acc.forEach((weeks, key) => out.set(key, new Map([...weeks].map(([wi, vals]) => [wi, mean(vals)]))));
+  return out;
+}
+
+function analyseEfficacy(query = {}, user = null) {
+  const before = Math.min(Math.max(parseInt(query.weeksBefore, 10) || 2, 0), 12);
+  const after = Math.min(Math.max(parseInt(query.weeksAfter, 10) || 3, 1), 12);
+  const series = targetSeries(readJSON(FARM_REPORT_FILE));
+  const offsets = Array.from({ length: before + after + 1 }, (_, i) => i - before);
+
+  const applications = efficacyApplications(query, user).map((a) => {
+    const weeks = series.get([siteCode(a.farm), siteCode(a.gh), a.target.toLowerCase()].join("|")) || new Map();
+    const at = weekIndex(a.year, a.week);
+    const profile = offsets.map((o) => ({ offset: o, value: weeks.has(at + o) ? round(weeks.get(at + o), 2) : null }));
+    const pick = (from, to) => profile.filter((p) => p.offset >= from && p.offset <= to && p.value !== null).map((p) => p.value);
+    const b = mean(pick(-before, 0));
+    const f = mean(pick(1, after));
+    const reductionPct = b !== null && f !== null && b > 0 ? round(((b - f) / b) * 100, 1) : null;
+    return { ...a, before: b === null ? null : round(b, 2), after: f === null ? null : round(f, 2), reductionPct, profile };
+  });
+
+  const products = {};
+  applications.forEach((a) => {
+    const key = `${a.chemical.toLowerCase()}|${a.target.toLowerCase()}`;
+    const p = products[key] || (products[key] = { chemical: a.chemical, target: a.target, applications: 0, measured: [], greenhouses: new Set() });
+    p.applications++;
+    p.greenhouses.add(`${a.farm}/${a.gh}`);
+    if (a.reductionPct !== null) p.measured.push(a);
+  });
+
+  const summary = Object.values(products)
+    .map((p) => ({
+      chemical: p.chemical,
+      target: p.target,
+      applications: p.applications,
+      measured: p.measured.length,
+      greenhouses: p.greenhouses.size,
+      avgBefore: p.measured.length ? round(mean(p.measured.map((a) => a.before)), 2) : null,
+      avgAfter: p.measured.length ? round(mean(p.measured.map((a) => a.after)), 2) : null,
+      avgReductionPct: p.measured.length ? round(mean(p.measured.map((a) => a.reductionPct)), 1) : null,
+      profile: offsets.map((o) => {
+        const vals = p.measured.map((a) => a.profile.find((x) => x.offset === o).value).filter((v) => v !== null);
+        return { offset: o, value: vals.length ? round(mean(vals), 2) : null };
+      }),
+    }))
+    .sort((a, b) => (b.avgReductionPct ?? -Infinity) - (a.avgReductionPct ?? -Infinity) || b.applications - a.applications);
+
+  return { weeksBefore: before, weeksAfter: after, products: summary, applications };
+}
+
+app.get(
+  "/analytics/efficacy",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => res.json(analyseEfficacy(req.query || {}, req.session.user))
+);
+
+// ---------- CHEMICAL STOCK ----------
+// Ledger entries: { id, type: "receipt" | "issue" | "adjustment", product, batch, quantity, unit,
+// date, ... }. Quantities are always positive except on adjustments; balances are derived.
+// An adjustment with `reverses` undoes that program issue (a corrected spray record).
+
+function productKey(name) {
+  return String(name || "").trim().toLowerCase();
+}
+
+function signedQuantity(entry) {
+  const qty = Number(entry.quantity) || 0;
+  return entry.type === "issue" ? -qty : qty;
+}
+
+// Running balance per product + batch (plus product totals) with warnings
+function computeStockBalances(ledger = readJSON(STOCK_LEDGER_FILE)) {
+  const levels = readJSON(STOCK_LEVELS_FILE);
+  const byBatch = new Map();
+  const byProduct = new Map();
+
+  for (const e of ledger) {
+    const pk = productKey(e.product);
+    if (!pk) continue;
+    const bk = `${pk}|${String(e.batch || "").trim()}`;
+    if (!byBatch.has(bk)) {
+      byBatch.set(bk, {
+        product: String(e.product).trim(),
+        batch: String(e.batch || "").trim(),
+        unit: e.unit || "",
+        expiry: e.expiry || "",
+        received: 0,
+        issued: 0,
+        balance: 0,
+      });
+    }
+    const b = byBatch.get(bk);
+    if (e.type === "receipt") b.received += Number(e.quantity) || 0;
+    if (e.type === "issue") b.issued += Number(e.quantity) || 0;
+    if (e.reverses) b.issued -= Number(e.quantity) || 0;
+    if (e.expiry && !b.expiry) b.expiry = e.expiry;
+    if (e.unit && !b.unit) b.unit = e.unit;
+    b.balance += signedQuantity(e);
+
+    if (!byProduct.has(pk)) byProduct.set(pk, { product: b.product, unit: b.unit, balance: 0 });
+    byProduct.get(pk).balance += signedQuantity(e);
+  }
+
+  const products = [...byProduct.entries()].map(([pk, p]) => {
+    const level = levels.find((l) => productKey(l.product) === pk);
+    const reorderLevel = level ? Number(level.reorderLevel) || 0 : 0;
+    const warnings = [];
+    if (p.balance < 0) warnings.push("negative");
+    else if (reorderLevel && p.balance <= reorderLevel) warnings.push("low");
+    return { ...p, unit: p.unit || (level && level.unit) || "", reorderLevel, warnings };
+  });
+
+  const batches = [...byBatch.values()].map((b) => ({
+    ...b,
+    warnings: b.balance < 0 ? ["negative"] : [],
+  }));
+
+  products.sort((a, b) => a.product.localeCompare(b.product));
+  batches.sort((a, b) => a.product.localeCompare(b.product) || a.batch.localeCompare(b.batch));
+  return { products, batches };
+}
+
+// Issue entries for one program row/day, per product in its tank mix. Draws from the oldest
+// batches first (by expiry, then receipt order); whatever cannot be covered is booked without a
+// batch so the product goes negative and shows up as a warning instead of being silently dropped.
+// Returns [] when the row/day was already issued, so callers can retry safely; with
+// overrides.correct a different product or quantity reverses the earlier issue and books it again.
+// overrides.chemical may name a different mix ("A + B"); each product keeps its planned rate.
+function issueSprayFromProgram(row, day, user, overrides = {}) {
+  const planned = tankMixOf(row, day);
+  const items =
+    overrides.chemical === undefined
+      ? planned
+      : parseTankMix(overrides.chemical).map((item, i) => ({
+          chemical: item.chemical,
+          rate: (planned.find((p) => productKey(p.chemical) === productKey(item.chemical)) || planned[i] || {}).rate,
+        }));
+  if (overrides.rate !== undefined && items.length === 1) items[0] = { ...items[0], rate: overrides.rate };
+  const vol = parseQuantity(overrides.vol ?? row[`${day}_vol`]);
+  const wanted = vol ? items.filter((item) => parseQuantity(item.rate)) : [];
+
+  const ledger = readJSON(STOCK_LEDGER_FILE);
+  const issued = activeProgramIssues(ledger, row.id, day);
+  if (issued.length) {
+    const totals = (list) => {
+      const out = {};
+      list.forEach(([product, qty]) => (out[productKey(product)] = (out[productKey(product)] || 0) + qty));
+      return Object.entries(out).map(([pk, qty]) => `${pk}=${qty.toFixed(4)}`).sort().join("|");
+    };
+    const same =
+      totals(issued.map((e) => [e.product, Number(e.quantity)])) ===
+      totals(wanted.map((item) => [item.chemical, parseQuantity(item.rate) * vol]));
+    if (!overrides.correct || same) return [];
+  }
+  if (!wanted.length && !issued.length) return [];
+
+  const now = new Date().toISOString();
+  const created = issued.map((e) => ({
+    id: allocateId(STOCK_LEDGER_FILE),
+    type: "adjustment",
+    product: e.product,
+    batch: e.batch,
+    quantity: e.quantity,
+    unit: e.unit,
+    date: overrides.date || now.slice(0, 10),
+    reference: `Correction of program row ${row.id} (${day})`,
+    source: e.source,
+    reverses: e.id,
+    createdBy: user ? user.username : "",
+    createdAt: now,
+  }));
+  const { batches } = computeStockBalances([...ledger, ...created]);
+  for (const item of wanted) {
+    const pk = productKey(item.chemical);
+    const available = batches
+      .filter((b) => productKey(b.product) === pk && b.batch && b.balance > 0)
+      .sort((a, b) => String(a.expiry || "9999").localeCompare(String(b.expiry || "9999")));
+
+    let remaining = parseQuantity(item.rate) * vol; // rate is per litre of spray solution
+    const draws = [];
+    for (const b of available) {
+      if (remaining <= 0) break;
+      const take = Math.min(b.balance, remaining);
+      draws.push({ batch: b.batch, unit: b.unit, quantity: take });
+      remaining -= take;
+    }
+    if (remaining > 0) draws.push({ batch: "", unit: "", quantity: remaining });
+
+    created.push(
+      ...draws.map((d) => ({
+        id: allocateId(STOCK_LEDGER_FILE),
+        type: "issue",
+        product: item.chemical,
+        batch: d.batch,
+        quantity: Number(d.quantity.toFixed(4)),
+        unit: d.unit,
+        date: overrides.date || now.slice(0, 10),
+        reference: `Program row ${row.id} (${day})`,
+        source: { agroId: row.id, day, farm: row.farm || "", gh: row.gh || "" },
+        createdBy: user ? user.username : "",
+        createdAt: now,
+      }))
+    );
+  }
+
+  ledger.push(...created);
+  writeJSON(STOCK_LEDGER_FILE, ledger);
+  return created;
+}
+
+// Issue entries booked for a program row/day that no later correction has reversed
+function activeProgramIssues(ledger, agroId, day) {
+  const reversed = new Set(ledger.filter((e) => e.reverses).map((e) => e.reverses));
+  return ledger.filter(
+    (e) => e.type === "issue" && e.source && e.source.agroId === agroId && e.source.day === day && !reversed.has(e.id)
+  );
+}
+
+// Balances with low-stock / negative warnings
+app.get(
+  "/stock",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const { products, batches } = computeStockBalances();
+    const warnings = products
+      .filter((p) => p.warnings.length)
+      .map((p) => ({ product: p.product, balance: p.balance, reorderLevel: p.reorderLevel, warnings: p.warnings }));
+    res.json({ products, batches, warnings });
+  }
+);
+
+// Ledger (newest first), optional product / batch / date filters
+app.get(
+  "/stock/ledger",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const { product, batch, from, to, type } = req.query;
+    let rows = readJSON(STOCK_LEDGER_FILE);
+    if (product) rows = rows.filter((e) => productKey(e.product) === productKey(product));
+    if (batch) rows = rows.filter((e) => String(e.batch || "") === String(batch));
+    if (type) rows = rows.filter((e) => e.type === type);
+    if (from) rows = rows.filter((e) => String(e.date || "") >= from);
+    if (to) rows = rows.filter((e) => String(e.date || "") <= to);
+    rows.sort((a, b) => (b.id || 0) - (a.id || 0));
+    res.json(rows);
+  }
+);
+
+// Receipt into store
+app.post(
+  "/stock/receipt",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const { product, batch, quantity, unit, date, expiry, supplier, reference } = req.body || {};
+    const qty = Number(quantity);
+    if (!product || !batch || !(qty > 0))
+      return res.status(400).json({ success: false, message: "product, batch and a positive quantity required" });
+
+    const ledger = readJSON(STOCK_LEDGER_FILE);
+    const entry = {
+      id: allocateId(STOCK_LEDGER_FILE),
+      type: "receipt",
+      product: String(product).trim(),
+      batch: String(batch).trim(),
+      quantity: qty,
+      unit: String(unit || ""),
+      date: String(date || new Date().toISOString().slice(0, 10)),
+      expiry: String(expiry || ""),
+      supplier: String(supplier || ""),
+      reference: String(reference || ""),
+      createdBy: req.session.user.username,
+      createdAt: new Date().toISOString(),
+    };
+    ledger.push(entry);
+    writeJSON(STOCK_LEDGER_FILE, ledger);
+    res.json({ success: true, entry });
+  }
+);
+
+// Stock-take correction (signed quantity, reason required)
+app.post(
+  "/stock/adjust",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const { product, batch, quantity, unit, reason } = req.body || {};
+    const qty = Number(quantity);
+    if (!product || !qty || !reason)
+      return res.status(400).json({ success: false, message: "product, non-zero quantity and reason required" });
+
+    const ledger = readJSON(STOCK_LEDGER_FILE);
+    const entry = {
+      id: allocateId(STOCK_LEDGER_FILE),
+      type: "adjustment",
+      product: String(product).trim(),
+      batch: String(batch || "").trim(),
+      quantity: qty,
+      unit: String(unit || ""),
+      date: new Date().toISOString().slice(0, 10),
+      reference: String(reason),
+      createdBy: req.session.user.username,
+      createdAt: new Date().toISOString(),
+    };
+    ledger.push(entry);
+    writeJSON(STOCK_LEDGER_FILE, ledger);
+    res.json({ success: true, entry });
+  }
+);
+
+// Reorder levels per product (upsert)
+app.get(
+  "/stock/levels",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => res.json(readJSON(STOCK_LEVELS_FILE))
+);
+
+app.post(
+  "/stock/levels",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const { product, reorderLevel, unit } = req.body || {};
+    if (!product) return res.status(400).json({ success: false, message: "product required" });
+    const levels = readJSON(STOCK_LEVELS_FILE);
+    const idx = levels.findIndex((l) => productKey(l.product) === productKey(product));
+    const level = { product: String(product).trim(), reorderLevel: Number(reorderLevel) || 0, unit: String(unit || "") };
+    if (idx >= 0) levels[idx] = level;
+    else levels.push(level);
+    writeJSON(STOCK_LEVELS_FILE, levels);
+    res.json({ success: true, level });
+  }
+);
+
+// Mark a program day as sprayed -> issue the chemical from store
+app.post(
+  "/stock/issue-from-program",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const { id, day, date } = req.body || {};
+    if (!id || !DAYS.includes(day))
+      return res.status(400).json({ success: false, message: "id and day (mon..sun) required" });
+    const row = readJSON(AGRO_FILE).find((r) => r.id === Number(id));
+    if (!row) return res.status(404).json({ success: false, message: "Not found" });
+    if (!canAccessFarm(req.session.user, row.farm)) return farmForbidden(res, [row.farm]);
+    if (programStatusOf(row, readJSON(PROGRAMS_FILE)) !== PROGRAM_STATUS.published)
+      return res.status(409).json({ success: false, message: "Row is not part of a published program" });
+    if (!row[`${day}_chemical`])
+      return res.status(400).json({ success: false, message: `No chemical planned for ${day}` });
+
+    const created = issueSprayFromProgram(row, day, req.session.user, { date });
+    res.json({
+      success: true,
+      issued: created,
+      message: created.length ? `${created.length} issue entries created` : "Already issued (or no rate/volume)",
+    });
+  }
+);
+
+// Stock card export: one sheet of balances, one running-balance card per product
+app.get(
+  "/stock/export",
+  requireAnyRoleApi([ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const ledger = readJSON(STOCK_LEDGER_FILE);
+    const { products, batches } = computeStockBalances(ledger);
+    const wanted = req.query.product ? productKey(req.query.product) : null;
+
+    const wb = xlsx.utils.book_new();
+    const balanceRows = batches
+      .filter((b) => !wanted || productKey(b.product) === wanted)
+      .map((b) => ({
+        Product: b.product,
+        Batch: b.batch,
+        Unit: b.unit,
+        Expiry: b.expiry,
+        Received: b.received,
+        Issued: b.issued,
+        Balance: b.balance,
+        Warning: b.warnings.join(", "),
+      }));
+    xlsx.utils.book_append_sheet(wb, xlsx.utils.json_to_sheet(balanceRows), "Balances");
+
+    const usedNames = new Set(["Balances"]);
+    products
+      .filter((p) => !wanted || productKey(p.product) === wanted)
+      .forEach((p) => {
+        const entries = ledger
+          .filter((e) => productKey(e.product) === productKey(p.product))
+          .sort((a, b) => String(a.date).localeCompare(String(b.date)) || (a.id || 0) - (b.id || 0));
+        let running = 0;
+        const card = entries.map((e) => {
+          running += signedQuantity(e);
+          return {
+            Date: e.date || "",
+            Type: e.type,
+            Batch: e.batch || "",
+            Reference: e.reference || "",
+            In: e.type === "issue" ? "" : signedQuantity(e),
+            Out: e.type === "issue" ? e.quantity : "",
+            Balance: Number(running.toFixed(4)),
+            By: e.createdBy || "",
+          };
+        });
+        // Excel sheet names: max 31 chars, no []:*?/\ and unique
+        let name = p.product.replace(/[\[\]:*?/\\]/g, " ").slice(0, 28) || "Product";
+        while (usedNames.has(name)) name = name.slice(0, 26) + "_" + usedNames.size;
+        usedNames.add(name);
+        xlsx.utils.book_append_sheet(wb, xlsx.utils.json_to_sheet(card), name);
+      });
+
+    const buf = xlsx.write(wb, { type: "buffer", bookType: "xlsx" });
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", "attachment; filename=stock_card_export.xlsx");
+    res.send(buf);
+  }
+);
+
+// ---------- CHEMICAL COSTS ----------
+// chemical_prices.json: price history per registry chemical: { id, chemicalId, product, price, per, effectiveFrom,
+// notes, createdBy, createdAt }. per is a PRICE_UNITS key; a spray is costed at the price in force on its date.
+// A row/day's product quantity is rate x volume (as for the stock draw-down); a completed execution's actual
+// chemical and volume replace the plan, and skipped / rescheduled days cost nothing.
+const PRICE_UNITS = {
+  L: { base: "ml", factor: 1000 },
+  kg: { base: "g", factor: 1000 },
+  ml: { base: "ml", factor: 1 },
+  g: { base: "g", factor: 1 },
+};
+const COST_GROUPS = { farm: "Farm", gh: "Greenhouse", crop: "Crop", target: "Target" };
+const COST_PERIODS = ["week", "season"];
+
+function priceOn(chemicalId, date, prices = readJSON(CHEMICAL_PRICES_FILE)) {
+  return (
+    prices
+      .filter((p) => p.chemicalId === chemicalId && p.effectiveFrom <= date)
+      .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom) || b.id - a.id)[0] || null
+  );
+}
+
+// "2026" for a calendar-year season, "2025/26" when settings.costs.seasonStartMonth is later than January
+function seasonOf(date, startMonth = getSettings().costs.seasonStartMonth) {
+  const d = parseCardDate(date);
+  const month = Number(startMonth) || 1;
+  if (month === 1) return String(d.getFullYear());
+  const first = d.getMonth() + 1 >= month ? d.getFullYear() : d.getFullYear() - 1;
+  return `${first}/${String(first + 1).slice(2)}`;
+}
+
+// One line per product per sprayed row/day
+function sprayCostLines(rows, executions = readJSON(EXECUTIONS_FILE)) {
+  const registry = readJSON(CHEMICALS_FILE);
+  const prices = readJSON(CHEMICAL_PRICES_FILE);
+  const { seasonStartMonth } = getSettings().costs;
+  const lines = [];
+  for (const row of rows) {
+    const { year, week } = programWeekOf(row);
+    for (const day of DAYS) {
+      const planned = tankMixOf(row, day);
+      if (!planned.length) continue;
+      const exec = executions.find((e) => e.agroId === row.id && e.day === day);
+      if (exec && exec.status !== "done") continue;
+      const actual = exec && exec.actual ? exec.actual : {};
+      const items = actual.chemical
+        ? parseTankMix(actual.chemical).map((item, i) => ({
+            chemical: item.chemical,
+            rate: (planned.find((p) => productKey(p.chemical) === productKey(item.chemical)) || planned[i] || {}).rate,
+          }))
+        : planned;
+      const vol = parseQuantity(actual.vol) || parseQuantity(row[`${day}_vol`]);
+      const date = exec ? executionDate(exec, row) : localDateText(sprayDateTime(row, day));
+
+      for (const item of items) {
+        const chem = findChemical(item.chemical, registry);
+        const base = chem && RATE_UNITS[chem.rateUnit] ? RATE_UNITS[chem.rateUnit].base : null;
+        const quantity = round(parseQuantity(item.rate) * vol, 4);
+        const price = chem ? priceOn(chem.id, date, prices) : null;
+        const unit = price ? PRICE_UNITS[price.per] : null;
+        let problem = "";
+        if (!chem) problem = "not in the chemical registry";
+        else if (!price) problem = `no price on ${date}`;
+        else if (!quantity) problem = "no rate or volume";
+        else if (base && base !== unit.base) problem = `priced per ${price.per} but dosed in ${base}`;
+        lines.push({
+          rowId: row.id,
+          day,
+          date,
+          year,
+          week,
+          season: seasonOf(date, seasonStartMonth),
+          farm: String(row.farm || ""),
+          gh: String(row.gh || ""),
+          crop: String(row.crop || ""),
+          target: String(row.target || ""),
+          chemical: chem ? chem.name : item.chemical,
+          quantity,
+          unit: base || (unit ? unit.base : ""),
+          unitPrice: price ? Number(price.price) : null,
+          per: price ? price.per : "",
+          cost: problem ? 0 : round((quantity / unit.factor) * Number(price.price)),
+          basis: exec ? "actual" : "planned",
+          problem,
+        });
+      }
+    }
+  }
+  return lines;
+}
+
+// Rows of the spray program a cost query covers. Query: farm, gh, crop, target, year, week / weekRange /
+// weekFrom + weekTo, drafts=1 (include draft / submitted programs; default published only)
+function costedRows(query, user) {
+  const programs = readJSON(PROGRAMS_FILE);
+  const { farm, gh, year, week, weekRange, weekFrom, weekTo } = query;
+  let rows = scopeToFarms(user, searchAgroRows({ farm, gh, year, week, weekRange, weekFrom, weekTo }))
+    .filter((r) => !farm || siteCode(r.farm) === siteCode(farm));
+  if (!["1", "true", "yes"].includes(String(query.drafts || "").toLowerCase()))
+    rows = rows.filter((r) => programStatusOf(r, programs) === PROGRAM_STATUS.published);
+  if (query.crop) rows = rows.filter((r) => String(r.crop || "").toLowerCase().includes(String(query.crop).toLowerCase()));
+  if (query.target) rows = rows.filter((r) => String(r.target || "").toLowerCase().includes(String(query.target).toLowerCase()));
+  return rows;
+}
+
+// Cost per groupBy value (farm / gh / crop / target) and period (week / season)
+function costSummary(lines, groupBy, period) {
+  const periodOf = (l) => (period === "season" ? l.season : `${l.year}-W${String(l.week).padStart(2, "0")}`);
+  const keyOf = (l) => (groupBy === "gh" ? `${l.farm} / ${l.gh}` : l[groupBy] || "(blank)");
+  const periods = [...new Set(lines.map(periodOf))].sort();
+  const groups = new Map();
+  for (const l of lines) {
+    const key = keyOf(l);
+    const g = groups.get(key) || { key, total: 0, sprays: new Set(), byPeriod: Object.fromEntries(periods.map((p) => [p, 0])) };
+    g.total = round(g.total + l.cost);
+    g.byPeriod[periodOf(l)] = round(g.byPeriod[periodOf(l)] + l.cost);
+    g.sprays.add(`${l.rowId}|${l.day}`);
+    groups.set(key, g);
+  }
+  const rows = [...groups.values()]
+    .map((g) => ({ ...g, sprays: g.sprays.size }))
+    .sort((a, b) => b.total - a.total || String(a.key).localeCompare(String(b.key)));
+  const totals = Object.fromEntries(periods.map((p) => [p, round(rows.reduce((t, r) => t + r.byPeriod[p], 0))]));
+  return { periods, rows, totals, total: round(rows.reduce((t, r) => t + r.total, 0)) };
+}
+
+function costReport(query, user) {
+  const groupBy = COST_GROUPS[query.groupBy] ? query.groupBy : "farm";
+  const period = COST_PERIODS.includes(query.period) ? query.period : "week";
+  const lines = sprayCostLines(costedRows(query, user));
+  const unpriced = {};
+  lines
+    .filter((l) => l.problem)
+    .forEach((l) => {
+      const k = `${l.chemical}|${l.problem.startsWith("no price") ? "no price" : l.problem}`;
+      (unpriced[k] = unpriced[k] || { chemical: l.chemical, problem: l.problem, sprays: 0 }).sprays++;
+    });
+  return {
+    currency: getSettings().costs.currency,
+    groupBy,
+    period,
+    ...costSummary(lines, groupBy, period),
+    unpriced: Object.values(unpriced),
+    lines,
+  };
+}
+
+app.get(
+  "/chemicals/:id/prices",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const chem = readJSON(CHEMICALS_FILE).find((c) => c.id === Number(req.params.id));
+    if (!chem) return res.status(404).json({ success: false, message: "Not found" });
+    const prices = readJSON(CHEMICAL_PRICES_FILE)
+      .filter((p) => p.chemicalId === chem.id)
+      .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom) || b.id - a.id);
+    res.json({ chemical: chem, currency: getSettings().costs.currency, current: priceOn(chem.id, localDateText(new Date())), prices });
+  }
+);
+
+// New price from a date on; earlier sprays keep the price that was in force for them
+app.post(
+  "/chemicals/:id/prices",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const chem = readJSON(CHEMICALS_FILE).find((c) => c.id === Number(req.params.id));
+    if (!chem) return res.status(404).json({ success: false, message: "Not found" });
+    const body = req.body || {};
+    const price = Number(body.price);
+    if (String(body.price ?? "").trim() === "" || isNaN(price) || price < 0)
+      return res.status(400).json({ success: false, message: "price must be a number >= 0" });
+    if (!PRICE_UNITS[body.per])
+      return res.status(400).json({ success: false, message: `per must be one of ${Object.keys(PRICE_UNITS).join(", ")}` });
+    const base = RATE_UNITS[chem.rateUnit] && RATE_UNITS[chem.rateUnit].base;
+    if (base && PRICE_UNITS[body.per].base !== base)
+      return res.status(400).json({ success: false, message: `${chem.name} is dosed in ${base}; price it per ${base === "g" ? "kg or g" : "L or ml"}` });
+    const effectiveFrom = String(body.effectiveFrom || localDateText(new Date())).trim();
+    if (!parseCardDate(effectiveFrom) || localDateText(parseCardDate(effectiveFrom)) !== effectiveFrom)
+      return res.status(400).json({ success: false, message: "effectiveFrom must be YYYY-MM-DD" });
+
+    const rows = readJSON(CHEMICAL_PRICES_FILE);
+    const entry = {
+      id: allocateId(CHEMICAL_PRICES_FILE),
+      chemicalId: chem.id,
+      product: chem.name,
+      price,
+      per: body.per,
+      effectiveFrom,
+      notes: String(body.notes || ""),
+      createdBy: req.session.user.username,
+      createdAt: new Date().toISOString(),
+    };
+    rows.push(entry);
+    writeJSON(CHEMICAL_PRICES_FILE, rows);
+    res.json({ success: true, price: entry });
+  }
+);
+
+app.delete(
+  "/chemicals/prices/:id",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const rows = readJSON(CHEMICAL_PRICES_FILE);
+    const idx = rows.findIndex((p) => p.id === Number(req.params.id));
+    if (idx === -1) return res.status(404).json({ success: false, message: "Not found" });
+    rows.splice(idx, 1);
+    writeJSON(CHEMICAL_PRICES_FILE, rows);
+    res.json({ success: true });
+  }
+);
+
+// ?groupBy=farm|gh|crop|target&period=week|season plus the costedRows filters
+app.get(
+  "/costs",
+  requireAnyRoleApi([ROLES.GeneralManager]),
+  (req, res) => res.json(costReport(req.query || {}, req.session.user))
+);
+
+app.get(
+  "/costs/export",
+  requireAnyRoleApi([ROLES.GeneralManager]),
+  (req, res) => {
+    const report = costReport(req.query || {}, req.session.user);
+    const label = COST_GROUPS[report.groupBy];
+    const summaryRows = report.rows.map((r) => ({
+      [label]: r.key,
+      Sprays: r.sprays,
+      ...Object.fromEntries(report.periods.map((p) => [p, r.byPeriod[p]])),
+      [`Total (${report.currency})`]: r.total,
+    }));
+    summaryRows.push({ [label]: "Total", ...Object.fromEntries(report.periods.map((p) => [p, report.totals[p]])), [`Total (${report.currency})`]: report.total });
+
+    const wb = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(wb, xlsx.utils.json_to_sheet(summaryRows), `By ${label.toLowerCase()}`);
+    xlsx.utils.book_append_sheet(
+      wb,
+      xlsx.utils.json_to_sheet(
+        report.lines.map((l) => ({
+          Date: l.date,
+          Week: `${l.year}-W${String(l.week).padStart(2, "0")}`,
+          Season: l.season,
+          Farm: l.farm,
+          Greenhouse: l.gh,
+          Crop: l.crop,
+          Target: l.target,
+          ProgramRow: l.rowId,
+          Day: l.day,
+          Chemical: l.chemical,
+          Quantity: l.quantity,
+          Unit: l.unit,
+          UnitPrice: l.unitPrice ?? "",
+          Per: l.per,
+          [`Cost (${report.currency})`]: l.cost,
+          Basis: l.basis,
+          Problem: l.problem,
+        }))
+      ),
+      "Spray costs"
+    );
+
+    const buf = xlsx.write(wb, { type: "buffer", bookType: "xlsx" });
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename=spray_costs_by_${report.groupBy}_${report.period}.xlsx`);
+    res.send(buf);
+  }
+);
+
+app.get(
+  "/costs/settings",
+  requireAnyRoleApi([ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => res.json(getSettings().costs)
+);
+
+app.post(
+  "/costs/settings",
+  requireAnyRoleApi([ROLES.GeneralManager]),
+  (req, res) => {
+    const body = req.body || {};
+    const values = {};
+    if (body.currency !== undefined) {
+      const currency = String(body.currency).trim().toUpperCase();
+      if (!/^[A-Z]{3}$/.test(currency)) return res.status(400).json({ success: false, message: "currency must be a 3-letter code (e.g. KES)" });
+      values.currency = currency;
+    }
+    if (body.seasonStartMonth !== undefined) {
+      const month = parseInt(body.seasonStartMonth, 10);
+      if (isNaN(month) || month < 1 || month > 12) return res.status(400).json({ success: false, message: "seasonStartMonth must be 1-12" });
+      values.seasonStartMonth = month;
+    }
+    const costs = saveSettings("costs", values);
+    res.json({ success: true, costs });
+  }
+);
+
+// ---------- API TOKENS ----------
+// Personal access tokens for /api/v1: { id, name, prefix, tokenHash, username, role, createdAt, expiresAt,
+// lastUsedAt, revokedAt }. Only the SHA-256 of a token is stored; the token itself is shown once.
+// A token is scoped to a role no higher than its owner's, and never acts above the owner's current role.
+const ROLE_RANK = [ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager];
+const TOKEN_PREFIX = "lsp_";
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+function publicToken(t) {
+  const { tokenHash, ...rest } = t;
+  return { ...rest, active: !t.revokedAt && !(t.expiresAt && new Date(t.expiresAt) <= new Date()) };
+}
+
+app.get(
+  "/api/tokens",
+  requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const user = req.session.user;
+    const all = req.query.all === "1" && user.role === ROLES.GeneralManager;
+    const rows = readJSON(API_TOKENS_FILE).filter((t) => all || t.username === user.username);
+    res.json(rows.map(publicToken).sort((a, b) => b.id - a.id));
+  }
+);
+
+app.post(
+  "/api/tokens",
+  requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const user = req.session.user;
+    const body = req.body || {};
+    const name = String(body.name || "").trim();
+    const role = body.role || user.role;
+    if (!name) return res.status(400).json({ success: false, message: "name required (e.g. what the token is for)" });
+    if (!ROLE_RANK.includes(role)) return res.status(400).json({ success: false, message: "Invalid role" });
+    if (ROLE_RANK.indexOf(role) > ROLE_RANK.indexOf(user.role))
+      return res.status(403).json({ success: false, message: `A token cannot have more access than your own role (${user.role})` });
+    const days = body.expiresInDays === undefined || body.expiresInDays === "" ? 365 : Number(body.expiresInDays);
+    if (isNaN(days) || days < 0) return res.status(400).json({ success: false, message: "expiresInDays must be a number >= 0 (0 = never)" });
+
+    const token = TOKEN_PREFIX + crypto.randomBytes(24).toString("hex");
+    const now = new Date();
+    const record = {
+      id: allocateId(API_TOKENS_FILE),
+      name,
+      prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+      tokenHash: hashToken(token),
+      username: user.username,
+      role,
+      createdAt: now.toISOString(),
+      expiresAt: days ? new Date(now.getTime() + days * 86400000).toISOString() : null,
+      lastUsedAt: null,
+      revokedAt: null,
+    };
+    const rows = readJSON(API_TOKENS_FILE);
+    rows.push(record);
+    writeJSON(API_TOKENS_FILE, rows);
+    logAccountEvent(req, user, "token_created", [{ field: "token", before: null, after: `${name} (${role})` }]);
+    res.json({ success: true, token, record: publicToken(record) });
+  }
+);
+
+// Owners revoke their own tokens; GMs anyone's
+app.delete(
+  "/api/tokens/:id",
+  requireAnyRoleApi([ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager]),
+  (req, res) => {
+    const user = req.session.user;
+    const rows = readJSON(API_TOKENS_FILE);
+    const t = rows.find((r) => r.id === Number(req.params.id));
+    if (!t) return res.status(404).json({ success: false, message: "Not found" });
+    if (t.username !== user.username && user.role !== ROLES.GeneralManager)
+      return res.status(403).json({ success: false, message: "Forbidden" });
+    if (!t.revokedAt) {
+      t.revokedAt = new Date().toISOString();
+      writeJSON(API_TOKENS_FILE, rows);
+      logAccountEvent(req, { id: null, username: t.username }, "token_revoked", [{ field: "token", before: t.name, after: null }]);
+    }
+    res.json({ success: true, record: publicToken(t) });
+  }
+);
+
+// ---------- REST API v1 ----------
+// Read-only, for the ERP / BI feeds. Authorization: Bearer <token> (or a browser session).
+// Lists take limit (1-500, default 50), sort=field or -field, and either offset or the opaque
+// nextCursor of the previous page. Every error is { success: false, code, message }.
+class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const API_PAGE_DEFAULT = 50;
+const API_PAGE_MAX = 500;
+const LAST_USED_EVERY_MS = 5 * 60000;
+
+function apiAuth(req, res, next) {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.get("authorization") || "");
+  if (!m) {
+    if (req.session.user) {
+      const { username, role, farms } = req.session.user;
+      req.apiUser = { username, role, farms, via: "session" };
+      return next();
+    }
+    return next(new ApiError(401, "unauthorized", "Send Authorization: Bearer <token>"));
+  }
+  const tokens = readJSON(API_TOKENS_FILE);
+  const t = tokens.find((x) => x.tokenHash === hashToken(m[1]));
+  if (!t || t.revokedAt) return next(new ApiError(401, "invalid_token", "Unknown or revoked token"));
+  if (t.expiresAt && new Date(t.expiresAt) <= new Date()) return next(new ApiError(401, "token_expired", "Token has expired"));
+  const owner = readJSON(USERS_FILE).find((u) => u.username === t.username);
+  if (!owner || owner.active === false) return next(new ApiError(401, "invalid_token", "Token owner is no longer active"));
+
+  const role = ROLE_RANK[Math.min(ROLE_RANK.indexOf(t.role), ROLE_RANK.indexOf(owner.role))];
+  req.apiUser = { username: owner.username, role, farms: assignedFarms({ ...owner, role }), via: "token", tokenId: t.id };
+  if (!t.lastUsedAt || Date.now() - new Date(t.lastUsedAt).getTime() > LAST_USED_EVERY_MS) {
+    t.lastUsedAt = new Date().toISOString();
+    writeJSON(API_TOKENS_FILE, tokens);
+  }
+  next();
+}
+
+// Numbers (and numeric strings) compare as numbers, everything else as text; blanks sort first
+function compareApiValues(a, b) {
+  const blank = (v) => v === null || v === undefined || v === "";
+  if (blank(a) || blank(b)) return blank(a) === blank(b) ? 0 : blank(a) ? -1 : 1;
+  const na = Number(a);
+  const nb = Number(b);
+  if (!isNaN(na) && !isNaN(nb)) return na - nb;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+const encodeCursor = (c) => Buffer.from(JSON.stringify(c)).toString("base64url");
+function decodeCursor(text) {
+  try {
+    return JSON.parse(Buffer.from(String(text), "base64url").toString("utf8"));
+  } catch (err) {
+    throw new ApiError(400, "invalid_cursor", "cursor is not one this API issued");
+  }
+}
+
+// Cursors hold the sort key and id of the last row served, so pages stay stable while rows are added
+function paginate(rows, query, resource) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || API_PAGE_DEFAULT, 1), API_PAGE_MAX);
+  const sort = String(query.sort || resource.defaultSort);
+  const field = sort.replace(/^-/, "");
+  if (!resource.sortable.includes(field))
+    throw new ApiError(400, "invalid_sort", `sort must be one of ${resource.sortable.join(", ")} (prefix - for descending)`);
+  const dir = sort.startsWith("-") ? -1 : 1;
+  const compare = (a, b) => dir * (compareApiValues(a[field], b[field]) || (Number(a.id) || 0) - (Number(b.id) || 0));
+  const sorted = [...rows].sort(compare);
+
+  let start = 0;
+  if (query.cursor) {
+    const c = decodeCursor(query.cursor);
+    if (c.sort !== sort) throw new ApiError(400, "invalid_cursor", "cursor was issued for a different sort");
+    const after = sorted.findIndex((r) => compare(r, { [field]: c.value, id: c.id }) > 0);
+    start = after === -1 ? sorted.length : after;
+  } else if (query.offset !== undefined) {
+    start = parseInt(query.offset, 10);
+    if (isNaN(start) || start < 0) throw new ApiError(400, "invalid_offset", "offset must be a whole number >= 0");
+  }
+
+  const data = sorted.slice(start, start + limit);
+  const last = data[data.length - 1];
+  return {
+    success: true,
+    data,
+    page: {
+      limit,
+      offset: start,
+      total: sorted.length,
+      sort,
+      nextCursor: last && start + limit < sorted.length ? encodeCursor({ sort, value: last[field] ?? null, id: last.id }) : null,
+    },
+  };
+}
+
+const ALL_ROLES = [ROLES.Viewer, ROLES.Supervisor, ROLES.Agronomist, ROLES.GeneralManager];
+const str = (description) => ({ type: "string", description });
+
+// Everything the routes and the OpenAPI document need to know about a resource
+const API_RESOURCES = {
+  agro: {
+    schemaName: "AgroRow",
+    summary: "Spray program rows",
+    description: "Agronomist / GM tokens see every row; other roles only rows of published programs. Users limited to some farms only see those farms.",
+    roles: ALL_ROLES,
+    list: (query, user) => visibleAgroRows(user, searchAgroRows(query)),
+    filters: {
+      farm: "Farm (substring match)",
+      gh: "Greenhouse (substring match)",
+      time: "Time (substring match)",
+      q: "Keyword in any field",
+      year: "ISO year of the program week",
+      week: "ISO week",
+      weekRange: 'Week or range, e.g. "12" or "12-15"',
+    },
+    sortable: ["id", "farm", "gh", "year", "week", "crop", "programId"],
+    defaultSort: "-id",
+    schema: {
+      id: { type: "integer" },
+      programId: { type: "integer", nullable: true },
+      year: { type: "integer" },
+      week: { type: "integer" },
+      farm: str("Farm code"),
+      gh: str("Greenhouse"),
+      area: str("Area (m2)"),
+      crop: str(),
+      variety: str(),
+      mode: str("Mode of action"),
+      method: str("Spray method"),
+      time: str("Planned time"),
+      ...Object.fromEntries(
+        DAYS.flatMap((d) => [
+          [d, str(`${d} marker`)],
+          [`${d}_chemical`, str(`Chemical sprayed on ${d}; a tank mix reads "A + B"`)],
+          [`${d}_rate`, str('Product per litre of mix ("0.5 + 1" for a tank mix)')],
+          [
+            `${d}_mix`,
+            {
+              type: "array",
+              description: "Tank mix as a list, in the order planned (absent on rows not saved since tank mixes were added)",
+              items: { type: "object", properties: { chemical: str(), rate: str("Product per litre of mix") } },
+            },
+          ],
+          [`${d}_vol`, str("Litres of water")],
+          [`${d}_area`, str("Area sprayed")],
+          [`${d}_mode`, str("Mode of action")],
+        ])
+      ),
+      target: str("Pest / disease targeted"),
+      justification: str(),
+      morning: str(),
+      evening: str(),
+      preparedBy: str(),
+      agronomistRemarks: str(),
+      supervisorRemarks: str(),
+    },
+  },
+  farmreport: {
+    schemaName: "FarmReportEntry",
+    summary: "Farm report (pest / disease figures per bed and week)",
+    roles: ALL_ROLES,
+    list: (query, user) => scopeToFarms(user, filterFarmRows(query)),
+    filters: {
+      year: "Year",
+      weekFrom: "First week",
+      weekTo: "Last week",
+      farm: "Farm",
+      greenhouse: "Greenhouse",
+      bed: "Bed",
+      crop: "Crop",
+      variety: "Variety",
+      pest: "Pest",
+      disease: "Disease",
+      pestRateMin: "Minimum pest figure",
+      pestRateMax: "Maximum pest figure",
+      diseaseRateMin: "Minimum disease figure",
+      diseaseRateMax: "Maximum disease figure",
+    },
+    sortable: ["id", "year", "weekRange", "farm", "greenhouse", "bed", "pestRate", "diseaseRate", "createdAt"],
+    defaultSort: "-createdAt",
+    schema: {
+      id: { type: "integer" },
+      year: str(),
+      weekRange: str('Week or range, e.g. "12-15"'),
+      farm: str(),
+      greenhouse: str(),
+      bed: str(),
+      crop: str(),
+      variety: str(),
+      pest: str(),
+      disease: str(),
+      pestRate: { type: "number" },
+      diseaseRate: { type: "number" },
+      source: str('"scouting" when rolled up from bed scouting'),
+      createdAt: { type: "string", format: "date-time" },
+    },
+  },
+  users: {
+    schemaName: "User",
+    summary: "User accounts (no credentials)",
+    roles: [ROLES.GeneralManager],
+    list: (query) =>
+      readJSON(USERS_FILE)
+        .map(publicUser)
+        .filter((u) => (!query.role || u.role === query.role) && (query.active === undefined || String(u.active) === String(query.active))),
+    filters: { role: "Role", active: "true / false" },
+    sortable: ["id", "username", "role", "createdAt", "lastLoginAt"],
+    defaultSort: "id",
+    schema: {
+      id: { type: "integer" },
+      username: str(),
+      role: { type: "string", enum: ALL_ROLES },
+      payrollNumber: str(),
+      farms: { type: "array", items: { type: "string" }, description: "Farms assigned by a General Manager (empty: from payroll, else all)" },
+      active: { type: "boolean" },
+      createdAt: { type: "string", format: "date-time" },
+      lastLoginAt: { type: "string", format: "date-time", nullable: true },
+      failedLogins: { type: "integer" },
+      lockedUntil: { type: "string", format: "date-time", nullable: true },
+      resetPending: { type: "boolean" },
+    },
+  },
+};
+
+function apiResource(name) {
+  return (req, res, next) => {
+    const resource = API_RESOURCES[name];
+    if (!resource.roles.includes(req.apiUser.role))
+      return next(new ApiError(403, "forbidden", `${name} needs one of: ${resource.roles.join(", ")}`));
+    req.apiResource = resource;
+    next();
+  };
+}
+
+function buildOpenApi(req) {
+  const errorRef = { $ref: "#/components/schemas/Error" };
+  const errors = Object.fromEntries(
+    [["400", "Bad request"], ["401", "Missing, unknown, revoked or expired token"], ["403", "Role not allowed"]].map(([code, description]) => [
+      code,
+      { description, content: { "application/json": { schema: errorRef } } },
+    ])
+  );
+  const paths = {};
+  const schemas = {
+    Error: {
+      type: "object",
+      required: ["success", "code", "message"],
+      properties: { success: { type: "boolean", enum: [false] }, code: str("Machine-readable error code"), message: str() },
+    },
+    Page: {
+      type: "object",
+      properties: {
+        limit: { type: "integer" },
+        offset: { type: "integer", description: "Index of the first row of this page" },
+        total: { type: "integer", description: "Rows matching the filters" },
+        sort: str(),
+        nextCursor: { type: "string", nullable: true, description: "Pass as cursor for the next page; null on the last page" },
+      },
+    },
+  };
+  const pageParams = [
+    { name: "limit", in: "query", schema: { type: "integer", minimum: 1, maximum: API_PAGE_MAX, default: API_PAGE_DEFAULT } },
+    { name: "offset", in: "query", schema: { type: "integer", minimum: 0 }, description: "Ignored when cursor is given" },
+    { name: "cursor", in: "query", schema: { type: "string" }, description: "page.nextCursor of the previous page" },
+  ];
+
+  for (const [name, r] of Object.entries(API_RESOURCES)) {
+    const { schemaName } = r;
+    schemas[schemaName] = { type: "object", properties: r.schema };
+    const roles = `Roles: ${r.roles.join(", ")}.`;
+    paths[`/${name}`] = {
+      get: {
+        tags: [name],
+        summary: `List ${r.summary.toLowerCase()}`,
+        description: [r.description, roles].filter(Boolean).join(" "),
+        operationId: `list_${name}`,
+        parameters: [
+          ...pageParams,
+          {
+            name: "sort",
+            in: "query",
+            schema: { type: "string", default: r.defaultSort, enum: r.sortable.flatMap((f) => [f, `-${f}`]) },
+          },
+          ...Object.entries(r.filters).map(([param, description]) => ({ name: param, in: "query", schema: { type: "string" }, description })),
+        ],
+        responses: {
+          200: {
+            description: "One page",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    success: { type: "boolean" },
+                    data: { type: "array", items: { $ref: `#/components/schemas/${schemaName}` } },
+                    page: { $ref: "#/components/schemas/Page" },
+                  },
+                },
+              },
+            },
+          },
+          ...errors,
+        },
+      },
+    };
+    paths[`/${name}/{id}`] = {
+      get: {
+        tags: [name],
+        summary: `One of ${r.summary.toLowerCase()}`,
+        description: roles,
+        operationId: `get_${name}`,
+        parameters: [{ name: "id", in: "path", required: true, schema: { type: "integer" } }],
+        responses: {
+          200: {
+            description: "Found",
+            content: {
+              "application/json": {
+                schema: { type: "object", properties: { success: { type: "boolean" }, data: { $ref: `#/components/schemas/${schemaName}` } } },
+              },
+            },
+          },
+          404: { description: "Not found", content: { "application/json": { schema: errorRef } } },
+          ...errors,
+        },
+      },
+    };
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "LathySpray API",
+      version: "1.0.0",
+      description: "Read-only access to spray programs, farm reports and users. Create a personal access token on the API Tokens page.",
+    },
+    servers: [{ url: `${req.protocol}://${req.get("host")}/api/v1` }],
+    security: [{ bearerAuth: [] }],
+    components: {
+      securitySchemes: { bearerAuth: { type: "http", scheme: "bearer", description: "Personal access token (lsp_...)" } },
+      schemas,
+    },
+    paths,
+  };
+}
+
+const apiV1 = express.Router();
+
+apiV1.get("/openapi.json", (req, res) => res.json(buildOpenApi(req)));
+apiV1.use(apiAuth);
+
+for (const name of Object.keys(API_RESOURCES)) {
+  apiV1.get(`/${name}`, apiResource(name), (req, res) => {
+    res.json(paginate(req.apiResource.list(req.query || {}, req.apiUser), req.query || {}, req.apiResource));
+  });
+  apiV1.get(`/${name}/:id`, apiResource(name), (req, res) => {
+    const row = req.apiResource.list({}, req.apiUser).find((r) => r.id === Number(req.params.id));
+    if (!row) throw new ApiError(404, "not_found", `No ${name} record ${req.params.id}`);
+    res.json({ success: true, data: row });
+  });
+}
+
+apiV1.use((req, res, next) => next(new ApiError(404, "not_found", `No such endpoint: ${req.method} ${req.baseUrl}${req.path}`)));
+apiV1.use((err, req, res, next) => {
+  if (err instanceof ApiError) return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+  console.error("API error:", err);
+  res.status(500).json({ success: false, code: "internal_error", message: "Internal error" });
+});
+
+app.use("/api/v1", apiV1);
+
 // ---------- Start ----------
 app.listen(PORT, () => {
+  const migrated = storage.migrateFromJson ? storage.migrateFromJson(DATA_FILES) : null;
+  if (migrated) console.log(`Migrated JSON data into SQLite: ${migrated.join(", ") || "nothing to import"}`);
   ensureFile(USERS_FILE, "[]");
   ensureFile(PAYROLL_FILE, "[]");
   ensureFile(AGRO_FILE, "[]");
   ensureFile(FARM_REPORT_FILE, "[]");
   ensureFile(LEGACY_PEST_DISEASE, "[]");
+  ensureFile(STOCK_LEDGER_FILE, "[]");
+  ensureFile(STOCK_LEVELS_FILE, "[]");
+  ensureFile(CHEMICALS_FILE, "[]");
+  ensureFile(SETTINGS_FILE, "{}");
+  ensureFile(EXECUTIONS_FILE, "[]");
+  ensureFile(PROGRAMS_FILE, "[]");
+  ensureFile(AUDIT_FILE, "[]");
+  ensureFile(SITES_FILE, "[]");
+  ensureFile(SCOUTING_FILE, "[]");
+  ensureFile(THRESHOLDS_FILE, "[]");
+  ensureFile(ALERTS_FILE, "[]");
+  ensureFile(WEATHER_FILE, "[]");
+  ensureFile(API_TOKENS_FILE, "[]");
+  ensureFile(PHOTOS_FILE, "[]");
+  ensureFile(OPERATORS_FILE, "[]");
+  ensureFile(TANK_MIX_FILE, "[]");
+  ensureFile(CHEMICAL_PRICES_FILE, "[]");
+  fs.mkdirSync(THUMBS_DIR, { recursive: true });
   ensureCreatedAtForFarmReport();
+  ensureProgramsForLegacyRows();
+  ensureWeekOnProgramRows();
+  scheduleAlertDigest();
   console.log(`✅ Server running on http://localhost:${PORT}`);
 });
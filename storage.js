@@ -0,0 +1,242 @@
+// Storage backends behind readJSON / writeJSON in server.js.
+//
+// Every data file (agronomist_data.json, farm_report.json, ...) is addressed by its
+// path; the backend decides where it really lives.
+//   - "sqlite" (default): one table per array file, keyed by an AUTOINCREMENT id, with
+//     farm / gh / year / week pulled out into indexed columns. Non-array files
+//     (settings.json) are stored whole in the documents table.
+//   - "json": the original one-file-per-collection layout, kept for tests and for
+//     running without a native build. Writes go to a temp file and are renamed into place.
+//
+// Both backends are synchronous so route handlers keep their read -> modify -> write shape.
+
+const fs = require("fs");
+const path = require("path");
+
+class StorageError extends Error {}
+
+function collectionName(filePath) {
+  return path.basename(filePath, ".json");
+}
+
+// Lookup keys are stored trimmed / lower-cased so filters can hit the index
+function keyOf(v) {
+  const s = String(v ?? "").trim().toLowerCase();
+  return s || null;
+}
+function intOf(v) {
+  const n = parseInt(v, 10);
+  return isNaN(n) ? null : n;
+}
+function indexColumns(row) {
+  return {
+    farm: keyOf(row.farm),
+    gh: keyOf(row.gh ?? row.greenhouse),
+    year: intOf(row.year),
+    week: intOf(row.week),
+  };
+}
+// { farm: "Farm 7 ", week: "42" } -> { farm: "farm 7", week: 42 }, dropping unknown / empty keys
+function normaliseWhere(where) {
+  const out = {};
+  ["farm", "gh"].forEach((k) => { if (keyOf(where[k]) !== null) out[k] = keyOf(where[k]); });
+  ["year", "week"].forEach((k) => { if (intOf(where[k]) !== null) out[k] = intOf(where[k]); });
+  return out;
+}
+function matches(row, where) {
+  const cols = indexColumns(row);
+  return Object.entries(normaliseWhere(where)).every(([k, v]) => cols[k] === v);
+}
+
+// ---------- JSON files ----------
+function createJsonStorage() {
+  function ensure(filePath, initial) {
+    if (!fs.existsSync(filePath)) fs.writeFileSync(filePath, JSON.stringify(initial, null, 2), "utf8");
+  }
+
+  function read(filePath, fallback) {
+    if (!fs.existsSync(filePath)) return fallback;
+    const txt = fs.readFileSync(filePath, "utf8");
+    if (!txt.trim()) return fallback;
+    try {
+      return JSON.parse(txt);
+    } catch (err) {
+      // Returning the fallback here used to let the next write wipe the file
+      throw new StorageError(`${path.basename(filePath)} is not valid JSON: ${err.message}`);
+    }
+  }
+
+  function write(filePath, data) {
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), "utf8");
+    fs.renameSync(tmp, filePath);
+  }
+
+  // Ids handed out but not yet written are remembered, so two allocations before a write differ
+  const issued = new Map();
+  function allocateId(filePath) {
+    const rows = read(filePath, []);
+    const max = (Array.isArray(rows) ? rows : []).reduce((m, r) => Math.max(m, r.id || 0), 0);
+    const next = Math.max(max, issued.get(filePath) || 0) + 1;
+    issued.set(filePath, next);
+    return next;
+  }
+
+  function find(filePath, where) {
+    return read(filePath, []).filter((r) => matches(r, where));
+  }
+
+  return { kind: "json", ensure, read, write, allocateId, find, transaction: (fn) => fn() };
+}
+
+// ---------- SQLite ----------
+function createSqliteStorage(dbFile) {
+  const Database = require("better-sqlite3");
+  const db = new Database(dbFile);
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS collections (name TEXT PRIMARY KEY, kind TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS documents (name TEXT PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT);
+  `);
+
+  const tableOf = (name) => `c_${name.replace(/\W/g, "_")}`;
+  const kinds = new Map(db.prepare("SELECT name, kind FROM collections").all().map((c) => [c.name, c.kind]));
+  const statements = new Map();
+
+  function prepared(name) {
+    if (statements.has(name)) return statements.get(name);
+    const t = tableOf(name);
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ${t} (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        pos INTEGER NOT NULL,
+        farm TEXT, gh TEXT, year INTEGER, week INTEGER,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS ${t}_farm_gh ON ${t} (farm, gh);
+      CREATE INDEX IF NOT EXISTS ${t}_year_week ON ${t} (year, week);
+    `);
+    const s = {
+      all: db.prepare(`SELECT data FROM ${t} ORDER BY pos, id`),
+      current: db.prepare(`SELECT id, pos, data FROM ${t}`),
+      upsert: db.prepare(`
+        INSERT INTO ${t} (id, pos, farm, gh, year, week, data) VALUES (@id, @pos, @farm, @gh, @year, @week, @data)
+        ON CONFLICT(id) DO UPDATE SET pos = excluded.pos, farm = excluded.farm, gh = excluded.gh,
+          year = excluded.year, week = excluded.week, data = excluded.data
+      `),
+      remove: db.prepare(`DELETE FROM ${t} WHERE id = ?`),
+      maxId: db.prepare(`SELECT MAX(id) AS id FROM ${t}`),
+    };
+    statements.set(name, s);
+    return s;
+  }
+
+  function setKind(name, kind) {
+    if (kinds.get(name) === kind) return;
+    db.prepare("INSERT INTO collections (name, kind) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET kind = excluded.kind").run(name, kind);
+    kinds.set(name, kind);
+  }
+
+  // Reserve the next id from sqlite_sequence so ids are never reused, even after deletes
+  function allocateId(filePath) {
+    const name = collectionName(filePath);
+    const t = tableOf(name);
+    prepared(name);
+    return db.transaction(() => {
+      const seq = db.prepare("SELECT seq FROM sqlite_sequence WHERE name = ?").get(t);
+      const next = Math.max(seq ? seq.seq : 0, prepared(name).maxId.get().id || 0) + 1;
+      if (seq) db.prepare("UPDATE sqlite_sequence SET seq = ? WHERE name = ?").run(next, t);
+      else db.prepare("INSERT INTO sqlite_sequence (name, seq) VALUES (?, ?)").run(t, next);
+      return next;
+    })();
+  }
+
+  function read(filePath, fallback) {
+    const name = collectionName(filePath);
+    const kind = kinds.get(name);
+    if (kind === "table") return prepared(name).all.all().map((r) => JSON.parse(r.data));
+    if (kind === "document") {
+      const doc = db.prepare("SELECT data FROM documents WHERE name = ?").get(name);
+      return doc ? JSON.parse(doc.data) : fallback;
+    }
+    return fallback;
+  }
+
+  const writeTable = (name, rows) => {
+    const s = prepared(name);
+    const existing = new Map(s.current.all().map((r) => [r.id, r]));
+    rows.forEach((row, pos) => {
+      // Rows without an id get one here, so nothing is stored without a key
+      if (!Number.isInteger(row.id) || row.id < 1) row.id = allocateId(name);
+      const data = JSON.stringify(row);
+      const prev = existing.get(row.id);
+      existing.delete(row.id);
+      if (prev && prev.pos === pos && prev.data === data) return;
+      s.upsert.run({ id: row.id, pos, data, ...indexColumns(row) });
+    });
+    existing.forEach((_, id) => s.remove.run(id));
+  };
+
+  const write = db.transaction((filePath, data) => {
+    const name = collectionName(filePath);
+    if (Array.isArray(data)) {
+      setKind(name, "table");
+      writeTable(name, data);
+    } else {
+      setKind(name, "document");
+      db.prepare("INSERT INTO documents (name, data) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET data = excluded.data")
+        .run(name, JSON.stringify(data));
+    }
+  });
+
+  function ensure(filePath, initial) {
+    if (!kinds.has(collectionName(filePath))) write(filePath, initial);
+  }
+
+  // Exact match on the indexed columns ({ farm, gh, year, week }); falls back to [] for documents
+  function find(filePath, where) {
+    const name = collectionName(filePath);
+    if (kinds.get(name) !== "table") return [];
+    const params = normaliseWhere(where);
+    const cols = Object.keys(params);
+    const sql = `SELECT data FROM ${tableOf(name)}${cols.length ? " WHERE " + cols.map((k) => `${k} = @${k}`).join(" AND ") : ""} ORDER BY pos, id`;
+    return db.prepare(sql).all(params).map((r) => JSON.parse(r.data));
+  }
+
+  // Runs fn atomically; nested calls become savepoints. BEGIN IMMEDIATE takes the write
+  // lock up front so another process can't slip a write in between our read and write.
+  function transaction(fn) {
+    return db.inTransaction ? db.transaction(fn)() : db.transaction(fn).immediate();
+  }
+
+  // One-shot import of the existing JSON files; the files themselves are left in place as a backup
+  function migrateFromJson(filePaths) {
+    if (db.prepare("SELECT value FROM meta WHERE key = 'migratedFromJson'").get()) return null;
+    const json = createJsonStorage();
+    const imported = [];
+    db.transaction(() => {
+      filePaths.forEach((filePath) => {
+        const data = json.read(filePath, undefined);
+        if (data === undefined) return;
+        write(filePath, data);
+        imported.push(`${path.basename(filePath)} (${Array.isArray(data) ? data.length + " rows" : "document"})`);
+      });
+      db.prepare("INSERT INTO meta (key, value) VALUES ('migratedFromJson', ?)").run(new Date().toISOString());
+    }).immediate();
+    return imported;
+  }
+
+  return { kind: "sqlite", db, ensure, read, write, allocateId, find, transaction, migrateFromJson };
+}
+
+// STORAGE=json|sqlite (default sqlite), SQLITE_FILE=path/to/db
+function createStorage(options = {}) {
+  const kind = options.kind || process.env.STORAGE || "sqlite";
+  if (kind === "json") return createJsonStorage();
+  if (kind === "sqlite") return createSqliteStorage(options.file || process.env.SQLITE_FILE || path.join(__dirname, "lathyspray.db"));
+  throw new StorageError(`Unknown storage backend "${kind}"`);
+}
+
+module.exports = { createStorage, StorageError, collectionName };